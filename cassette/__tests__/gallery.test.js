@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GALLERY_FILE_FORMAT, GALLERY_FILE_VERSION, parseGalleryFile, serializeGallery } from '../gallery.js';
+import { SCENE_SNAPSHOT_FORMAT, SCENE_SNAPSHOT_VERSION, validateSceneSnapshot } from '../snapshot.js';
+
+const PALETTE = [{ kind: 'solid', color: '#ff0000' }];
+const THUMBNAIL = 'data:image/png;base64,iVBORw0KGgo=';
+
+function snapshot(x = 0) {
+  return {
+    format: SCENE_SNAPSHOT_FORMAT,
+    version: SCENE_SNAPSHOT_VERSION,
+    palette: PALETTE,
+    bodies: [
+      {
+        shapeType: 'triangle',
+        localVerts: [
+          { x: 0, y: 1 },
+          { x: -1, y: -1 },
+          { x: 1, y: -1 }
+        ],
+        position: { x, y: 0 },
+        rotation: 0,
+        velocity: { x: 0, y: 0 },
+        angularVelocity: 0,
+        colorIndex: 0
+      }
+    ]
+  };
+}
+
+function item(id, createdAt, x) {
+  return { id, createdAt, seed: `seed-${id}`, thumbnail: THUMBNAIL, snapshot: snapshot(x) };
+}
+
+const validate = entry => validateSceneSnapshot(entry, PALETTE);
+
+test('a gallery survives serializeGallery and parseGalleryFile, ids left out', () => {
+  const items = [item(1, '2026-01-02T10:00:00.000Z', 0), item(2, '2026-01-01T10:00:00.000Z', 1)];
+  const file = JSON.parse(JSON.stringify(serializeGallery(items)));
+  assert.equal(file.format, GALLERY_FILE_FORMAT);
+  assert.equal(file.version, GALLERY_FILE_VERSION);
+
+  const { items: parsed, skipped } = parseGalleryFile(file, validate);
+  assert.equal(skipped, 0);
+  assert.deepEqual(
+    parsed,
+    items.map(({ id, ...rest }) => rest)
+  );
+});
+
+test('invalid entries are skipped and counted, the rest is kept', () => {
+  const file = serializeGallery([item(1, '2026-01-01T10:00:00.000Z', 0), item(2, '2026-01-01T11:00:00.000Z', 1)]);
+  const broken = snapshot();
+  broken.bodies[0].colorIndex = 3;
+  file.items.splice(1, 0, { ...file.items[0], snapshot: broken });
+  file.items.push({ ...file.items[0], thumbnail: 'javascript:alert(1)' }, null);
+
+  const { items, skipped } = parseGalleryFile(file, validate);
+  assert.equal(skipped, 3);
+  assert.deepEqual(
+    items.map(entry => entry.seed),
+    ['seed-1', 'seed-2']
+  );
+});
+
+test('files of another format or version are rejected', () => {
+  const file = serializeGallery([item(1, '2026-01-01T10:00:00.000Z', 0)]);
+  assert.throws(() => parseGalleryFile({ ...file, format: SCENE_SNAPSHOT_FORMAT }), /Not a cassette gallery file/);
+  assert.throws(() => parseGalleryFile(null), /Not a cassette gallery file/);
+  assert.throws(
+    () => parseGalleryFile({ ...file, version: GALLERY_FILE_VERSION + 1 }),
+    /Unsupported gallery file version: 2/
+  );
+  assert.throws(() => parseGalleryFile({ ...file, items: {} }), /Gallery file has no items array/);
+});
+
+test('a missing or unreadable createdAt falls back to the import time', () => {
+  const file = serializeGallery([item(1, 'yesterday', 0), item(2, undefined, 1)]);
+  file.items[1].seed = 42;
+  const before = Date.now();
+  const { items } = parseGalleryFile(file, validate);
+  const after = Date.now();
+  for (const entry of items) {
+    const time = Date.parse(entry.createdAt);
+    assert.ok(time >= before && time <= after, entry.createdAt);
+  }
+  assert.equal(items[1].seed, '');
+});
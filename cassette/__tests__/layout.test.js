@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planReflow } from '../layout.js';
+
+function square(half, props = {}) {
+  return {
+    localVerts: [
+      { x: -half, y: -half },
+      { x: half, y: -half },
+      { x: half, y: half },
+      { x: -half, y: half }
+    ],
+    boundingRadius: Math.SQRT2 * half,
+    rotation: 0,
+    ...props
+  };
+}
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+test('growing bounds keep the arrangement', () => {
+  const items = [
+    { body: square(0.5), u: -0.5, v: 0.25 },
+    { body: square(0.5), u: 0.5, v: -0.25 },
+    { body: square(0.25), u: 0, v: 0.75 }
+  ];
+  const plan = planReflow(items, { x: 6, y: 4 });
+  assert.equal(plan.scale, 1);
+  assert.equal(plan.unplaced.length, 0);
+  plan.placements.forEach((placement, i) => {
+    assert.equal(placement.body, items[i].body);
+    assert.equal(placement.factor, 1);
+    assert.ok(near(placement.x, items[i].u * 6) && near(placement.y, items[i].v * 4));
+  });
+});
+
+test('bodies shrink a step at a time until they fit', () => {
+  // Side by side they need half-width 2 at full size; 1.5 fits from 0.9³
+  const items = [
+    { body: square(1), u: -0.5, v: 0 },
+    { body: square(1), u: 0.5, v: 0 }
+  ];
+  const plan = planReflow(items, { x: 1.5, y: 1 });
+  assert.equal(plan.unplaced.length, 0);
+  assert.ok(near(plan.scale, 0.9 ** 3), `scale ${plan.scale}`);
+  assert.ok(plan.placements.every(placement => near(placement.factor, plan.scale)));
+});
+
+test('shrinking stops at minScale', () => {
+  const items = [{ body: square(1), u: 0, v: 0 }];
+  const plan = planReflow(items, { x: 0.3, y: 0.3 }, { minScale: 0.6 });
+  assert.equal(plan.scale, 0.6);
+  assert.deepEqual(plan.unplaced, items);
+});
+
+test('what still does not fit is returned as unplaced, earlier items win', () => {
+  const items = [
+    { body: square(1), u: 0, v: 0 },
+    { body: square(1), u: 0.5, v: 0.5 }
+  ];
+  const plan = planReflow(items, { x: 0.6, y: 0.6 });
+  assert.equal(plan.scale, 0.5);
+  assert.equal(plan.placements.length, 1);
+  assert.equal(plan.placements[0].body, items[0].body);
+  assert.deepEqual(plan.unplaced, [items[1]]);
+});
+
+test('shrunk bodies grow back by their layoutScale', () => {
+  const body = square(1, { layoutScale: 0.5 });
+  const plan = planReflow([{ body, u: 0, v: 0 }], { x: 4, y: 4 });
+  assert.equal(plan.scale, 1);
+  assert.equal(plan.placements[0].factor, 2);
+
+  const partly = planReflow([{ body, u: 0, v: 0 }], { x: 1.6, y: 1.6 });
+  assert.equal(partly.unplaced.length, 0);
+  assert.ok(near(partly.placements[0].factor, partly.scale / 0.5));
+  assert.ok(partly.scale < 1);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAsePalette, parseGplPalette, parseHexTextPalette, parsePaletteFile } from '../palettes.js';
+
+// Adobe Swatch Exchange file with one color block per swatch: [name, model, values]
+function buildAse(swatches) {
+  const blocks = swatches.map(([name, model, values]) => {
+    const length = 2 + (name.length + 1) * 2 + 4 + values.length * 4 + 2;
+    const view = new DataView(new ArrayBuffer(6 + length));
+    view.setUint16(0, 0x0001);
+    view.setUint32(2, length);
+    let p = 6;
+    view.setUint16(p, name.length + 1);
+    p += 2;
+    for (const ch of name) {
+      view.setUint16(p, ch.charCodeAt(0));
+      p += 2;
+    }
+    p += 2; // terminator
+    for (const ch of model.padEnd(4, ' ')) {
+      view.setUint8(p++, ch.charCodeAt(0));
+    }
+    for (const value of values) {
+      view.setFloat32(p, value);
+      p += 4;
+    }
+    view.setUint16(p, 2); // color type: normal
+    return new Uint8Array(view.buffer);
+  });
+  const total = 12 + blocks.reduce((sum, block) => sum + block.length, 0);
+  const bytes = new Uint8Array(total);
+  const header = new DataView(bytes.buffer);
+  header.setUint32(0, 0x41534546); // 'ASEF'
+  header.setUint16(4, 1);
+  header.setUint16(6, 0);
+  header.setUint32(8, blocks.length);
+  let offset = 12;
+  for (const block of blocks) {
+    bytes.set(block, offset);
+    offset += block.length;
+  }
+  return bytes.buffer;
+}
+
+const text = value => new TextEncoder().encode(value).buffer;
+
+test('ASE: RGB, CMYK and Gray swatches are read', () => {
+  const presets = parseAsePalette(
+    buildAse([
+      ['Red', 'RGB', [1, 0, 0]],
+      ['Cyan', 'CMYK', [1, 0, 0, 0]],
+      ['Half black', 'CMYK', [0, 0, 0, 0.5]],
+      ['Gray', 'Gray', [0.5]],
+      ['Lab', 'LAB', [50, 0, 0]]
+    ])
+  );
+  assert.deepEqual(
+    presets.map(preset => preset.color),
+    ['#ff0000', '#00ffff', '#808080', '#808080']
+  );
+  assert.ok(presets.every(preset => preset.kind === 'solid'));
+});
+
+test('ASE: a truncated file keeps the complete swatches and rejects an empty one', () => {
+  const full = buildAse([
+    ['Red', 'RGB', [1, 0, 0]],
+    ['Blue', 'RGB', [0, 0, 1]]
+  ]);
+  const cut = full.slice(0, full.byteLength - 10);
+  assert.deepEqual(parseAsePalette(cut), [{ kind: 'solid', color: '#ff0000' }]);
+
+  assert.throws(() => parseAsePalette(full.slice(0, 20)), /No colors found in the swatch file/);
+  assert.throws(() => parseAsePalette(full.slice(0, 8)), /Not an Adobe Swatch Exchange file/);
+});
+
+test('ASE is detected by content when the extension is missing', () => {
+  const presets = parsePaletteFile('swatches', buildAse([['Green', 'RGB', [0, 1, 0]]]));
+  assert.deepEqual(presets, [{ kind: 'solid', color: '#00ff00' }]);
+});
+
+test('GPL: comments and Name/Columns lines are skipped', () => {
+  const presets = parseGplPalette(
+    [
+      'GIMP Palette',
+      'Name: Sunset',
+      'Columns: 4',
+      '# 1 2 3 is a comment',
+      '255   0   0\tRed',
+      '',
+      '  0 128 255',
+      'not a color'
+    ].join('\r\n')
+  );
+  assert.deepEqual(
+    presets.map(preset => preset.color),
+    ['#ff0000', '#0080ff']
+  );
+  assert.throws(() => parseGplPalette('Name: Sunset\n255 0 0'), /missing "GIMP Palette" header/);
+});
+
+test('hex text: bare words are not read as colors', () => {
+  const presets = parseHexTextPalette('bed #abc\nface ff8800 and 00ff0080, add #DEAD');
+  assert.deepEqual(
+    presets.map(preset => preset.color),
+    ['#aabbcc', '#ff8800', '#00ff00']
+  );
+  assert.throws(() => parsePaletteFile('words.txt', text('bed cab fade')), /No colors found in the text palette/);
+});
@@ -0,0 +1,223 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, createBody, findCandidatePairs, getWorldParts, partsSAT } from '../physics.js';
+
+const STEP = 1 / 120;
+
+function square(half, props = {}) {
+  return createBody({
+    shapeType: 'rect',
+    localVerts: [
+      { x: -half, y: -half },
+      { x: half, y: -half },
+      { x: half, y: half },
+      { x: -half, y: half }
+    ],
+    ...props
+  });
+}
+
+// No damping of any kind, so only the collision response changes the motion
+function frictionlessWorld(options = {}) {
+  return createWorld({
+    boundsX: 10,
+    boundsY: 10,
+    linearDamping: 1,
+    angularDamping: 1,
+    linearViscosity: 0,
+    angularViscosity: 0,
+    friction: 0,
+    ...options
+  });
+}
+
+function kineticEnergy(bodies) {
+  let energy = 0;
+  for (const body of bodies) {
+    const speed2 = body.velocity.x ** 2 + body.velocity.y ** 2;
+    energy += 0.5 * body.mass * speed2 + 0.5 * (body.inertia || 0) * (body.angularVelocity || 0) ** 2;
+  }
+  return energy;
+}
+
+function momentum(bodies) {
+  return bodies.reduce((sum, body) => sum + body.mass * body.velocity.x, 0);
+}
+
+test('equal bodies exchange velocities in a head-on elastic impact', () => {
+  const hits = [];
+  const world = frictionlessWorld({ onCollision: (a, b) => hits.push([a, b]) });
+  const a = world.addBody(square(0.5, { position: { x: -2, y: 0 }, velocity: { x: 1, y: 0 } }));
+  const b = world.addBody(square(0.5, { position: { x: 2, y: 0 }, velocity: { x: -1, y: 0 } }));
+
+  for (let i = 0; i < 360; i++) world.step(STEP);
+
+  assert.equal(hits.length, 1);
+  assert.ok(Math.abs(a.velocity.x + 1) < 1e-9, `a.velocity.x = ${a.velocity.x}`);
+  assert.ok(Math.abs(b.velocity.x - 1) < 1e-9, `b.velocity.x = ${b.velocity.x}`);
+  assert.ok(Math.abs(a.angularVelocity) < 1e-9 && Math.abs(b.angularVelocity) < 1e-9);
+  assert.ok(a.position.x < b.position.x);
+});
+
+test('an impact of unequal bodies conserves momentum and, when elastic, energy', () => {
+  for (const restitution of [1, 0.5]) {
+    const world = frictionlessWorld({ restitution });
+    const bodies = [
+      world.addBody(square(0.6, { position: { x: -2, y: 0.1 }, velocity: { x: 1.5, y: 0 } })),
+      world.addBody(square(0.3, { position: { x: 1, y: 0 }, velocity: { x: -0.5, y: 0 } }))
+    ];
+    const momentumBefore = momentum(bodies);
+    const energyBefore = kineticEnergy(bodies);
+
+    for (let i = 0; i < 240; i++) world.step(STEP);
+
+    assert.ok(Math.abs(momentum(bodies) - momentumBefore) < 1e-9);
+    const energyAfter = kineticEnergy(bodies);
+    if (restitution === 1) {
+      assert.ok(Math.abs(energyAfter - energyBefore) < 1e-9 * energyBefore);
+    } else {
+      assert.ok(energyAfter < energyBefore);
+    }
+    // The small body bounced back
+    assert.ok(bodies[1].velocity.x > 0);
+  }
+});
+
+test('drift never gains energy', () => {
+  const world = createWorld({ boundsX: 3, boundsY: 2 });
+  const bodies = [];
+  for (let i = 0; i < 8; i++) {
+    bodies.push(
+      world.addBody(
+        square(0.2 + 0.05 * (i % 3), {
+          position: { x: -2.4 + (i % 4) * 1.6, y: i < 4 ? -0.8 : 0.8 },
+          velocity: { x: Math.cos(i * 2.1) * 3, y: Math.sin(i * 2.1) * 3 },
+          angularVelocity: (i % 2 ? 1 : -1) * 0.5
+        })
+      )
+    );
+  }
+
+  let previous = kineticEnergy(bodies);
+  const initial = previous;
+  let collisions = 0;
+  world.onCollision = () => collisions++;
+  for (let i = 0; i < 1200; i++) {
+    world.step(STEP);
+    const energy = kineticEnergy(bodies);
+    assert.ok(energy <= previous * (1 + 1e-9), `energy grew at step ${i}: ${previous} -> ${energy}`);
+    previous = energy;
+  }
+  assert.ok(collisions > 0, 'the bodies should have collided');
+  assert.ok(previous < initial * 0.5);
+});
+
+test('drifting shapes come to rest, a dragged one keeps the world awake', () => {
+  const world = createWorld({ boundsX: 3, boundsY: 2 });
+  const a = world.addBody(square(0.3, { position: { x: -1, y: 0 }, velocity: { x: 2, y: 0.5 } }));
+  world.addBody(square(0.2, { position: { x: 1, y: 0.5 }, velocity: { x: -1, y: -1 } }));
+  assert.equal(world.isAtRest(), false);
+
+  let restedAt = -1;
+  for (let i = 0; i < 120 * 20 && restedAt < 0; i++) {
+    world.step(STEP);
+    if (world.isAtRest()) restedAt = i;
+  }
+  assert.ok(restedAt > 0, 'drift should settle within 20 s');
+
+  a.isDragged = true;
+  assert.equal(world.isAtRest(), false);
+});
+
+test('shapes come to rest under gravity', () => {
+  const world = createWorld({ mode: 'gravity', boundsX: 2, boundsY: 1.5 });
+  for (let i = 0; i < 5; i++) {
+    world.addBody(
+      square(0.2, {
+        position: { x: -1 + i * 0.5, y: 0.5 + (i % 2) * 0.4 },
+        velocity: { x: i % 2 ? 0.5 : -0.5, y: 0 }
+      })
+    );
+  }
+
+  let restedAt = -1;
+  for (let i = 0; i < 120 * 20 && restedAt < 0; i++) {
+    world.step(STEP);
+    if (world.isAtRest()) restedAt = i;
+  }
+  assert.ok(restedAt > 0, 'gravity mode should settle within 20 s');
+  for (const body of world.bodies) {
+    assert.ok(body.position.y < -1.5 + 0.6, 'every shape should have fallen to the floor');
+  }
+});
+
+test('orbiting shapes never count as at rest', () => {
+  const world = createWorld({ boundsX: 4, boundsY: 3 });
+  world.addBody(square(0.2, { position: { x: 1.5, y: 0 } }));
+  world.addBody(square(0.25, { position: { x: -1, y: 1 } }));
+  world.addBody(square(0.15, { position: { x: 0, y: -2 } }));
+  world.setMode('orbit');
+
+  for (let i = 0; i < 120 * 30; i++) {
+    world.step(STEP);
+    assert.equal(world.isAtRest(), false, `orbit mode came to rest at step ${i}`);
+  }
+});
+
+test('a fast body does not tunnel through a thin one', () => {
+  const world = frictionlessWorld();
+  const bullet = world.addBody(square(0.05, { position: { x: -3, y: 0 }, velocity: { x: 120, y: 0 } }));
+  const wall = world.addBody(
+    createBody({
+      shapeType: 'rect',
+      localVerts: [
+        { x: -0.02, y: -1 },
+        { x: 0.02, y: -1 },
+        { x: 0.02, y: 1 },
+        { x: -0.02, y: 1 }
+      ],
+      position: { x: 0, y: 0 }
+    })
+  );
+
+  for (let i = 0; i < 6; i++) world.step(STEP);
+
+  assert.ok(bullet.position.x < wall.position.x, `bullet ended up at x = ${bullet.position.x}`);
+  assert.ok(bullet.velocity.x < 0);
+});
+
+test('swept broad phase pairs bodies whose paths cross during the step', () => {
+  const bodies = [
+    square(0.1, { position: { x: -3, y: 0 } }),
+    square(0.1, { position: { x: 0, y: 0 } }),
+    square(0.1, { position: { x: 0, y: 2 } })
+  ];
+  const still = bodies.map(() => ({ x: 0, y: 0 }));
+  assert.deepEqual(findCandidatePairs(bodies, 0, still), []);
+
+  const moving = [{ x: 6, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 0 }];
+  assert.deepEqual(findCandidatePairs(bodies, 0, moving), [[0, 1]]);
+});
+
+test('broad phase keeps every overlapping pair', () => {
+  const bodies = [];
+  for (let i = 0; i < 40; i++) {
+    bodies.push(
+      square(0.1 + (i % 5) * 0.05, {
+        position: { x: Math.sin(i * 12.9898) * 2, y: Math.cos(i * 78.233) * 1.5 },
+        rotation: i * 0.3
+      })
+    );
+  }
+  const candidates = new Set(findCandidatePairs(bodies).map(pair => pair.join()));
+  let overlapping = 0;
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      if (partsSAT(getWorldParts(bodies[i]), getWorldParts(bodies[j]))) {
+        overlapping++;
+        assert.ok(candidates.has(`${i},${j}`), `pair ${i},${j} overlaps but is not a candidate`);
+      }
+    }
+  }
+  assert.ok(overlapping > 0);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planReflow } from '../layout.js';
+import {
+  SCENE_SNAPSHOT_FORMAT,
+  SCENE_SNAPSHOT_VERSION,
+  serializeSceneBodies,
+  validateSceneSnapshot
+} from '../snapshot.js';
+
+const PALETTE = [
+  { kind: 'solid', color: '#ff0000' },
+  { kind: 'gradient', from: '#000000', to: '#ffffff' }
+];
+
+function square(half, x, y, colorIndex = 0) {
+  return {
+    shapeType: 'rect',
+    localVerts: [
+      { x: -half, y: -half },
+      { x: half, y: -half },
+      { x: half, y: half },
+      { x: -half, y: half }
+    ],
+    boundingRadius: Math.SQRT2 * half,
+    position: { x, y },
+    rotation: 0,
+    velocity: { x: 0, y: 0 },
+    angularVelocity: 0,
+    colorIndex
+  };
+}
+
+// What main.js stores per body, minus the mesh
+function serializeBody(body) {
+  return {
+    shapeType: body.shapeType,
+    localVerts: body.localVerts,
+    position: body.position,
+    rotation: body.rotation,
+    velocity: body.velocity,
+    angularVelocity: body.angularVelocity,
+    colorIndex: body.colorIndex,
+    layoutScale: body.layoutScale || 1
+  };
+}
+
+function snapshotOf(bodies, parked) {
+  const snapshot = {
+    format: SCENE_SNAPSHOT_FORMAT,
+    version: SCENE_SNAPSHOT_VERSION,
+    palette: PALETTE,
+    worldBounds: { x: 2, y: 1 },
+    bodies: serializeSceneBodies(bodies, parked, serializeBody)
+  };
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+// Rebuilds planReflow items the way restoreScene does: bodies in the world by
+// their position, parked ones by the u, v they were stored with
+function restoreItems(snapshot) {
+  return snapshot.bodies.map(entry => {
+    const body = { ...entry, boundingRadius: Math.hypot(entry.localVerts[0].x, entry.localVerts[0].y) };
+    return entry.parked
+      ? { body, u: entry.u, v: entry.v }
+      : { body, u: entry.position.x / snapshot.worldBounds.x, v: entry.position.y / snapshot.worldBounds.y };
+  });
+}
+
+test('parked bodies survive a snapshot round trip', () => {
+  const bodies = [square(0.5, -1, 0), square(0.5, 1, 0, 1)];
+  const parked = [{ body: square(0.6, 0, 0, 1), u: 0.25, v: -0.6 }];
+  const snapshot = snapshotOf(bodies, parked);
+
+  validateSceneSnapshot(snapshot, PALETTE);
+  assert.deepEqual(
+    snapshot.bodies.map(entry => !!entry.parked),
+    [false, false, true]
+  );
+  assert.equal(snapshot.bodies[2].u, 0.25);
+  assert.equal(snapshot.bodies[2].v, -0.6);
+  assert.equal(snapshot.bodies[2].colorIndex, 1);
+
+  // Still no room for it: it stays parked, not lost
+  const tight = planReflow(restoreItems(snapshot), { x: 1.1, y: 0.55 }, { minScale: 1 });
+  assert.equal(tight.unplaced.length, 1);
+  assert.equal(tight.unplaced[0].u, 0.25);
+  assert.equal(tight.unplaced[0].v, -0.6);
+
+  // On a larger screen it comes back where it was
+  const roomy = planReflow(restoreItems(snapshot), { x: 4, y: 2 });
+  assert.equal(roomy.unplaced.length, 0);
+  const back = roomy.placements[2];
+  assert.ok(Math.abs(back.x - 1) < 1e-9 && Math.abs(back.y + 1.2) < 1e-9, `placed at ${back.x}, ${back.y}`);
+});
+
+test('a parked entry without its position is rejected', () => {
+  const snapshot = snapshotOf([square(0.5, 0, 0)], [{ body: square(0.5, 0, 0), u: 0.5, v: 0 }]);
+  delete snapshot.bodies[1].v;
+  assert.throws(() => validateSceneSnapshot(snapshot, PALETTE), /Body 1: a parked body needs u and v/);
+});
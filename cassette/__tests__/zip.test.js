@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createStoredZip } from '../zip.js';
+
+const encoder = new TextEncoder();
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(encoder.encode('123456789')), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('a two-file archive has consistent headers and end of central directory', () => {
+  const files = [
+    { name: 'frame-0001.png', data: encoder.encode('first frame') },
+    { name: 'frame-0002.png', data: encoder.encode('second, longer frame') }
+  ];
+  const zip = createStoredZip(files, new Date(2026, 0, 2, 3, 4, 6));
+  const view = new DataView(zip.buffer);
+
+  const localSize = files.reduce((sum, file) => sum + 30 + file.name.length + file.data.length, 0);
+  const centralSize = files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+  assert.equal(zip.length, localSize + centralSize + 22);
+
+  // End of central directory: the last 22 bytes
+  const eocd = zip.length - 22;
+  assert.equal(view.getUint32(eocd, true), 0x06054b50);
+  assert.equal(view.getUint16(eocd + 8, true), 2);
+  assert.equal(view.getUint16(eocd + 10, true), 2);
+  assert.equal(view.getUint32(eocd + 12, true), centralSize);
+  assert.equal(view.getUint32(eocd + 16, true), localSize);
+
+  // Every central record points at its local header, and both describe the same file
+  let central = localSize;
+  files.forEach((file, i) => {
+    assert.equal(view.getUint32(central, true), 0x02014b50, `central record ${i}`);
+    const local = view.getUint32(central + 42, true);
+    assert.equal(view.getUint32(local, true), 0x04034b50, `local header ${i}`);
+    assert.equal(view.getUint16(local + 8, true), 0); // stored
+    assert.equal(view.getUint32(local + 14, true), crc32(file.data));
+    assert.equal(view.getUint32(central + 16, true), crc32(file.data));
+    assert.equal(view.getUint32(local + 18, true), file.data.length);
+    assert.equal(view.getUint32(central + 24, true), file.data.length);
+
+    const nameLength = view.getUint16(local + 26, true);
+    assert.equal(new TextDecoder().decode(zip.subarray(local + 30, local + 30 + nameLength)), file.name);
+    assert.deepEqual(zip.subarray(local + 30 + nameLength, local + 30 + nameLength + file.data.length), file.data);
+    central += 46 + view.getUint16(central + 28, true);
+  });
+  assert.equal(central, eocd);
+});
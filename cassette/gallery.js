@@ -0,0 +1,135 @@
+// gallery.js
+//
+// Saved compositions in IndexedDB (no THREE, no DOM). An item is
+//   { id, createdAt (ISO string), seed, thumbnail (image data URL), snapshot }
+// where snapshot is a scene snapshot as produced by the cassette's serializeScene.
+// Every function returns a Promise; storage errors reject with the IndexedDB error.
+
+const DB_NAME = 'thequotes-cassette';
+const DB_VERSION = 1;
+const STORE = 'gallery';
+
+export const GALLERY_FILE_FORMAT = 'thequotes-cassette-gallery';
+export const GALLERY_FILE_VERSION = 1;
+
+let dbPromise = null;
+
+function requestDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('createdAt', 'createdAt');
+    };
+    dbPromise = requestDone(request).catch(e => {
+      // Следующая попытка откроет базу заново
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const result = fn(tx.objectStore(STORE));
+  await transactionDone(tx);
+  return result;
+}
+
+// Adds items (without ids); resolves with the new ids in order.
+export async function addGalleryItems(items) {
+  const requests = [];
+  await withStore('readwrite', store => {
+    for (const item of items) {
+      const { id, ...rest } = item;
+      requests.push(store.add(rest));
+    }
+  });
+  return requests.map(request => request.result);
+}
+
+export async function addGalleryItem(item) {
+  const [id] = await addGalleryItems([item]);
+  return id;
+}
+
+// All items, newest first.
+export async function listGalleryItems() {
+  let request;
+  await withStore('readonly', store => {
+    request = store.getAll();
+  });
+  return request.result.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+}
+
+export function deleteGalleryItem(id) {
+  return withStore('readwrite', store => {
+    store.delete(id);
+  });
+}
+
+// The whole gallery as one JSON-friendly object (ids are local and left out).
+export function serializeGallery(items) {
+  return {
+    format: GALLERY_FILE_FORMAT,
+    version: GALLERY_FILE_VERSION,
+    items: items.map(({ createdAt, seed, thumbnail, snapshot }) => ({ createdAt, seed, thumbnail, snapshot }))
+  };
+}
+
+// Checks a parsed gallery file and returns its items. `validateSnapshot`
+// throws for snapshots that can't be restored; such items are skipped and
+// counted, so one broken entry doesn't lose the rest.
+export function parseGalleryFile(data, validateSnapshot = () => {}) {
+  if (!data || data.format !== GALLERY_FILE_FORMAT) {
+    throw new Error('Not a cassette gallery file');
+  }
+  if (data.version !== GALLERY_FILE_VERSION) {
+    throw new Error(`Unsupported gallery file version: ${data.version}`);
+  }
+  if (!Array.isArray(data.items)) {
+    throw new Error('Gallery file has no items array');
+  }
+  const items = [];
+  let skipped = 0;
+  for (const entry of data.items) {
+    try {
+      if (!entry || typeof entry.thumbnail !== 'string' || !entry.thumbnail.startsWith('data:image/')) {
+        throw new Error('thumbnail must be an image data URL');
+      }
+      validateSnapshot(entry.snapshot);
+      const createdAt = typeof entry.createdAt === 'string' && !Number.isNaN(Date.parse(entry.createdAt))
+        ? entry.createdAt
+        : new Date().toISOString();
+      items.push({
+        createdAt,
+        seed: typeof entry.seed === 'string' ? entry.seed : '',
+        thumbnail: entry.thumbnail,
+        snapshot: entry.snapshot
+      });
+    } catch (e) {
+      skipped++;
+    }
+  }
+  return { items, skipped };
+}
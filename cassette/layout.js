@@ -0,0 +1,113 @@
+// layout.js
+//
+// Fitting existing bodies into new world bounds (no THREE, no DOM). Used when
+// the viewport changes: every body keeps its place relative to the bounds, so
+// the arrangement keeps its shape, and a body that would overlap another one or
+// a wall moves to the nearest free spot. When not everything fits, all bodies
+// are shrunk a step at a time; whatever still doesn't fit is reported back.
+
+import { transformVerts, partsSAT } from './physics.js';
+
+const DEFAULT_REFLOW_OPTIONS = {
+  // Bodies never get smaller than this share of their natural size
+  minScale: 0.5,
+  // Each retry shrinks everything by this factor
+  scaleStep: 0.9,
+  // Ring spacing of the free-spot search: a share of the body's radius,
+  // but never finer than 1/searchRings of the bounds' diagonal
+  searchStep: 0.25,
+  searchRings: 80,
+  // Allowed overlap depth, share of the smaller radius: shapes are placed
+  // touching, and a hair of overlap shouldn't count as "doesn't fit"
+  overlapTolerance: 0.05
+};
+
+// World-space convex parts of `body` resized by `factor` and placed at (x, y).
+function getScaledWorldParts(body, factor, x, y) {
+  const parts = body.parts || [body.localVerts];
+  return parts.map(part =>
+    transformVerts(
+      part.map(v => ({ x: v.x * factor, y: v.y * factor })),
+      x,
+      y,
+      body.rotation
+    )
+  );
+}
+
+function isInsideBounds(worldParts, bounds) {
+  return worldParts.every(part => part.every(v => Math.abs(v.x) <= bounds.x && Math.abs(v.y) <= bounds.y));
+}
+
+function isFree(candidate, placed, bounds, options) {
+  if (!isInsideBounds(candidate.parts, bounds)) return false;
+  for (const other of placed) {
+    const reach = candidate.radius + other.radius;
+    if (Math.abs(candidate.x - other.x) > reach || Math.abs(candidate.y - other.y) > reach) continue;
+    const overlap = partsSAT(candidate.parts, other.parts);
+    if (overlap && overlap.depth > Math.min(candidate.radius, other.radius) * options.overlapTolerance) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Nearest free spot to `target`, searched on rings of growing radius around it.
+function findFreeSpot(body, factor, target, placed, bounds, options) {
+  const radius = body.boundingRadius * factor;
+  const diagonal = Math.hypot(bounds.x, bounds.y) * 2;
+  const step = Math.max(radius * options.searchStep, diagonal / options.searchRings);
+  const rings = Math.ceil(diagonal / step);
+  for (let ring = 0; ring <= rings; ring++) {
+    const count = ring === 0 ? 1 : ring * 8;
+    for (let k = 0; k < count; k++) {
+      const angle = (k / count) * Math.PI * 2;
+      const x = target.x + Math.cos(angle) * ring * step;
+      const y = target.y + Math.sin(angle) * ring * step;
+      if (Math.abs(x) > bounds.x || Math.abs(y) > bounds.y) continue;
+      const candidate = { x, y, radius, parts: getScaledWorldParts(body, factor, x, y) };
+      if (isFree(candidate, placed, bounds, options)) return candidate;
+    }
+  }
+  return null;
+}
+
+function placeAll(items, bounds, scale, options) {
+  const placed = [];
+  const placements = [];
+  const unplaced = [];
+  for (const item of items) {
+    const { body } = item;
+    // Масштаб считается от натурального размера, так что фигуры снова
+    // растут, когда места опять хватает
+    const factor = scale / (body.layoutScale || 1);
+    const target = { x: item.u * bounds.x, y: item.v * bounds.y };
+    const spot = findFreeSpot(body, factor, target, placed, bounds, options);
+    if (spot) {
+      placed.push(spot);
+      placements.push({ body, x: spot.x, y: spot.y, factor });
+    } else {
+      unplaced.push(item);
+    }
+  }
+  return { scale, placements, unplaced };
+}
+
+// items:   [{ body, u, v }] — u, v: the body's position as a share of the
+//          half-width / half-height of the bounds it was in (-1..1). Bodies
+//          are placed in this order, so earlier ones win when space runs out.
+//          body.layoutScale is its current size relative to its natural size.
+// bounds:  { x, y } half-extents of the new world.
+// Returns { scale, placements: [{ body, x, y, factor }], unplaced: [item] };
+// `factor` is the resize to apply to the body now (1 — keep its size).
+export function planReflow(items, bounds, options = {}) {
+  const opts = { ...DEFAULT_REFLOW_OPTIONS, ...options };
+  let scale = 1;
+  for (;;) {
+    const result = placeAll(items, bounds, scale, opts);
+    if (!result.unplaced.length || scale <= opts.minScale) {
+      return result;
+    }
+    scale = Math.max(opts.minScale, scale * opts.scaleStep);
+  }
+}
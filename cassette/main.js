@@ -1,13 +1,72 @@
 // main.js
 
-import * as THREE from 'https://unpkg.com/three@0.161.0/build/three.module.js';
-
-const bodies = [];
+import * as THREE from 'three';
+import {
+  createWorld,
+  computePolygonInertia,
+  transformVerts,
+  getWorldParts,
+  partsSAT,
+  clampBodyToBounds,
+  PHYSICS_MODES
+} from './physics.js';
+import { regularPolygon, halfCircle, arc, star } from './shapes.js';
+import { createStoredZip } from './zip.js';
+import { planReflow } from './layout.js';
+import { parsePaletteFile, normalizePreset } from './palettes.js';
+import {
+  SCENE_SNAPSHOT_FORMAT,
+  SCENE_SNAPSHOT_VERSION,
+  isFiniteNumber,
+  isPoint,
+  serializeSceneBodies,
+  validateSceneSnapshot
+} from './snapshot.js';
+import {
+  addGalleryItem,
+  addGalleryItems,
+  listGalleryItems,
+  deleteGalleryItem,
+  serializeGallery,
+  parseGalleryFile
+} from './gallery.js';
+
+// Headless physics world; `bodies` is the world's own body list.
+const world = createWorld();
+const bodies = world.bodies;
 let physicsEnabled = false;
 let nextBodyId = 1;
 const bodyById = new Map();
 let colorTransferEnabled = false;
+// Key of COLOR_TRANSFER_RULES used when colorTransferEnabled is on
+let colorTransferRule = 'swap';
+let colorTransferRuleSelect = null;
 let playPauseButton = null;
+let colorTransferButton = null;
+let physicsModeButton = null;
+// Palette editor panel (see createPaletteEditor), created with the controls
+let paletteEditor = null;
+// Gallery of saved compositions (see createGalleryPanel), created with the controls
+let galleryPanel = null;
+// Shape selected from the keyboard (see createScene's onCanvasKeyDown)
+let focusedBody = null;
+// Seed of the composition currently on screen (mirrored in the ?seed= URL param)
+let currentSeed = null;
+// Fixed physics step (seconds) shared by the live loop and the recorder
+const PHYSICS_STEP = 0.01;
+// Active recording (see startRecording), null when not recording
+let recordingSession = null;
+let recordButton = null;
+// Play impulses come from a seeded stream: the n-th Play on a layout always
+// gives the same kick (see startPlayRun). The count restarts with every new layout.
+let playCount = 0;
+// Scene right before the last Play impulse and that impulse's index, for replayLastRun
+let lastPlayRun = null;
+let replayButton = null;
+// Bodies that didn't fit after a viewport change (see reflowBodies): taken out
+// of the world and the scene until a later reflow finds room for them.
+// Entries are { body, u, v } as planReflow expects.
+let parkedBodies = [];
 
 
 function registerBody(body) {
@@ -19,10 +78,47 @@ function registerBody(body) {
 function addBodyEntry(body) {
   registerBody(body);
   body.isMagnetAnchored = false;
-  bodies.push(body);
+  body.inertia = computePolygonInertia(body.localVerts, body.mass);
+  body.invInertia = body.inertia > 0 ? 1 / body.inertia : 0;
+  // The physics world works with plain position/rotation; point them at the mesh
+  // so THREE and the engine always share one transform.
+  body.position = body.mesh.position;
+  Object.defineProperty(body, 'rotation', {
+    get() {
+      return body.mesh.rotation.z;
+    },
+    set(value) {
+      body.mesh.rotation.z = value;
+    },
+    enumerable: true,
+    configurable: true
+  });
+  world.addBody(body);
   return body;
 }
 
+// Uniformly resizes a body around its center: geometry, collision outline and
+// mass properties together. Vertex arrays are replaced, not mutated, so the
+// physics caches keyed on them are refreshed.
+function scaleBody(body, factor) {
+  const scalePoint = v => ({ x: v.x * factor, y: v.y * factor });
+  body.localVerts = body.localVerts.map(scalePoint);
+  if (body.parts) {
+    body.parts = body.parts.map(part => part.map(scalePoint));
+  }
+  body.boundingRadius *= factor;
+  body.contactRadius *= factor;
+  body.mass = body.boundingRadius * body.boundingRadius;
+  body.invMass = 1 / body.mass;
+  body.inertia = computePolygonInertia(body.localVerts, body.mass);
+  body.invInertia = body.inertia > 0 ? 1 / body.inertia : 0;
+
+  body.mesh.geometry.scale(factor, factor, 1);
+  if (body.focusOutline) {
+    body.focusOutline.geometry.scale(factor, factor, 1);
+  }
+}
+
 
 let worldBoundsX = 4;
 let worldBoundsY = 2.2;
@@ -30,13 +126,12 @@ let worldBoundsY = 2.2;
 // Global reference to current THREE.Scene
 
 let sceneRef = null;
+// Renderer and camera of the live scene, used by off-screen exports
+let rendererRef = null;
+let cameraRef = null;
 const CANVAS_BACKGROUND_COLOR = '#111111';
-const BASE_LINEAR_DAMPING = 0.998;
-const BASE_ANGULAR_DAMPING = 0.99;
-const FLUID_LINEAR_VISCOSITY = 1.2; // higher → more drag per second
-const FLUID_ANGULAR_VISCOSITY = 0.8;
 
-// Color presets: exactly 10 colors for the whole composition.
+// Color presets of the classic series: one per shape, 10 in total.
 const COLOR_PRESETS = [
   { kind: 'solid', color: '#cf4c46' },
   { kind: 'gradient', from: '#e0198dff', to: '#ffd24dff' },
@@ -50,45 +145,127 @@ const COLOR_PRESETS = [
   { kind: 'gradient', from: '#1b107eff', to: '#586cad' }
 ];
 
-// Normalize hex colors like #rrggbbaa to #rrggbb.
-function toOpaqueHex(col) {
-  if (typeof col === 'string' && col.startsWith('#') && col.length === 9) {
-    return col.slice(0, 7);
+// --- Composition specs ---
+// A spec describes a series declaratively: which shapes to place (in order),
+// their sizes and counts, and the palette to color them from. createShapes
+// consumes it, so new series need no changes to the placement code.
+//
+//   shapes:  [{ type: 'circle' | 'square' | 'triangle' | 'halfcircle', size, count? },
+//             { type: 'rect', width, height, count? },
+//             { type: 'ngon', sides, size, count? },
+//             { type: 'arc', size, thickness? (share of size), sweep? (degrees), count? },
+//             { type: 'star', points, size, innerRatio?, count? }]
+//            size/width/height: a number or a [min, max] range (drawn from the seed RNG);
+//            count: a number or an integer [min, max] range, default 1.
+//   palette: presets ({ kind: 'solid', color } / { kind: 'gradient', from, to }, or any
+//            of the richer kinds — multi-stop/angled gradients, conic, noise,
+//            stripes, dots — listed at normalizePreset in palettes.js).
+//            Each preset is used once before any repeats, so the palette can be
+//            larger or smaller than the number of shapes.
+const COMPOSITION_SERIES = {
+  classic: {
+    // Сначала добавляем более маленькие фигуры, затем крупные,
+    // чтобы при нехватке места в первую очередь сохранялись маленькие.
+    shapes: [
+      { type: 'circle', size: 0.3 },
+      { type: 'square', size: 0.3 },
+      { type: 'triangle', size: 0.3 },
+      { type: 'rect', width: 1, height: 0.2 }, // очень тонкий и длинный
+      { type: 'circle', size: 0.65 },
+      { type: 'square', size: 0.8 },
+      { type: 'rect', width: 1, height: 0.4 },
+      { type: 'triangle', size: 1 },
+      { type: 'circle', size: 0.8 },
+      { type: 'square', size: 1.2 }
+    ],
+    palette: COLOR_PRESETS
+  },
+  confetti: {
+    shapes: [
+      { type: 'triangle', size: [0.15, 0.3], count: [4, 6] },
+      { type: 'circle', size: [0.15, 0.3], count: [4, 6] },
+      { type: 'rect', width: [0.6, 1.0], height: 0.12, count: 3 },
+      { type: 'square', size: [0.4, 0.7], count: 2 },
+      { type: 'circle', size: [0.6, 0.8] }
+    ],
+    palette: [
+      { kind: 'solid', color: '#ffd24d' },
+      { kind: 'solid', color: '#e02623' },
+      { kind: 'gradient', from: '#4694d2', to: '#1730a9' },
+      { kind: 'gradient', from: '#f36ff6', to: '#001d9c' }
+    ]
+  },
+  geometry: {
+    shapes: [
+      { type: 'star', points: 5, size: 0.35 },
+      { type: 'ngon', sides: 5, size: 0.3 },
+      { type: 'halfcircle', size: 0.4 },
+      { type: 'arc', size: 0.6, thickness: 0.3, sweep: 160 },
+      { type: 'ngon', sides: 6, size: 0.6 },
+      { type: 'triangle', size: 0.5 },
+      { type: 'star', points: 6, size: 0.7, innerRatio: 0.55 },
+      { type: 'circle', size: 0.7 },
+      { type: 'halfcircle', size: 0.9 },
+      { type: 'square', size: 0.9 }
+    ],
+    palette: COLOR_PRESETS
+  },
+  textures: {
+    shapes: [
+      { type: 'circle', size: 0.3 },
+      { type: 'triangle', size: 0.35 },
+      { type: 'rect', width: 1, height: 0.25 },
+      { type: 'ngon', sides: 6, size: 0.5 },
+      { type: 'square', size: 0.8 },
+      { type: 'circle', size: 0.75 },
+      { type: 'halfcircle', size: 0.8 },
+      { type: 'square', size: 1.1 }
+    ],
+    palette: [
+      { kind: 'gradient', stops: ['#e0198d', '#ffd24d', '#4694d2'], angle: 30 },
+      { kind: 'conic', stops: ['#f36ff6', '#001d9c', '#e02623', '#f36ff6'] },
+      { kind: 'noise', color: '#cf4c46', grain: 0.3 },
+      { kind: 'stripes', colors: ['#2e2e3c', '#ffd24d'], width: 0.1 },
+      { kind: 'dots', color: '#1730a9', dotColor: '#f36ff6', spacing: 0.14, jitter: 0.3 },
+      { kind: 'gradient', stops: [{ offset: 0, color: '#722000' }, { offset: 0.7, color: '#e3d403' }, { offset: 1, color: '#ffff00' }], angle: 90 }
+    ]
   }
-  return col;
-}
+};
+const DEFAULT_SERIES = 'classic';
+const SERIES_QUERY_PARAM = 'series';
 
-// --- Polygon math helpers (global scope) ---
-function transformVerts(localVerts, posX, posY, rot) {
-  const cos = Math.cos(rot);
-  const sin = Math.sin(rot);
-  const verts = [];
-  for (const v of localVerts) {
-    const x = v.x * cos - v.y * sin + posX;
-    const y = v.x * sin + v.y * cos + posY;
-    verts.push({ x, y });
+let activeSpec = COMPOSITION_SERIES[DEFAULT_SERIES];
+// Palette the bodies' colorIndex values point into
+let activePalette = activeSpec.palette;
+
+function readSeriesFromUrl() {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    const name = params.get(SERIES_QUERY_PARAM);
+    if (name && Object.prototype.hasOwnProperty.call(COMPOSITION_SERIES, name)) {
+      return name;
+    }
+    if (name) {
+      console.warn(`Unknown composition series "${name}", using "${DEFAULT_SERIES}"`);
+    }
+  } catch (e) {
+    // ignore malformed URLs
   }
-  return verts;
+  return DEFAULT_SERIES;
 }
 
-function getWorldVertices(body) {
-  return transformVerts(
-    body.localVerts,
-    body.mesh.position.x,
-    body.mesh.position.y,
-    body.mesh.rotation.z
-  );
+function setActiveSpec(spec) {
+  activeSpec = spec;
+  activePalette = spec.palette;
+  refreshPaletteEditor();
 }
 
-function projectOntoAxis(verts, axis) {
-  let min = Infinity;
-  let max = -Infinity;
-  for (const v of verts) {
-    const p = v.x * axis.x + v.y * axis.y;
-    if (p < min) min = p;
-    if (p > max) max = p;
+// Normalize hex colors like #rrggbbaa to #rrggbb.
+function toOpaqueHex(col) {
+  if (typeof col === 'string' && col.startsWith('#') && col.length === 9) {
+    return col.slice(0, 7);
   }
-  return { min, max };
+  return col;
 }
 
 function isSquareBody(body) {
@@ -114,110 +291,6 @@ function isRectBody(body) {
   return !!body && body.shapeType === 'rect' && !isSquareBody(body);
 }
 
-function overlapIntervals(a, b) {
-  return Math.min(a.max, b.max) - Math.max(a.min, b.min);
-}
-
-function polygonPolygonSAT(vertsA, vertsB) {
-  let minOverlap = Infinity;
-  let bestAxis = null;
-
-  function checkAxes(verts1, verts2) {
-    for (let i = 0; i < verts1.length; i++) {
-      const j = (i + 1) % verts1.length;
-      const edge = {
-        x: verts1[j].x - verts1[i].x,
-        y: verts1[j].y - verts1[i].y
-      };
-      let axis = { x: -edge.y, y: edge.x };
-      const len = Math.hypot(axis.x, axis.y);
-      if (len === 0) continue;
-      axis.x /= len;
-      axis.y /= len;
-
-      const projA = projectOntoAxis(vertsA, axis);
-      const projB = projectOntoAxis(vertsB, axis);
-      const o = overlapIntervals(projA, projB);
-
-      if (o <= 0) {
-        return false;
-      }
-
-      if (o < minOverlap) {
-        minOverlap = o;
-        bestAxis = { x: axis.x, y: axis.y };
-      }
-    }
-    return true;
-  }
-
-  if (!checkAxes(vertsA, vertsB)) return null;
-  if (!checkAxes(vertsB, vertsA)) return null;
-
-  return { normal: bestAxis, depth: minOverlap };
-}
-
-
-function normalizeAngle(angle) {
-  const twoPi = Math.PI * 2;
-  return ((angle + Math.PI) % twoPi + twoPi) % twoPi - Math.PI;
-}
-
-function gentlyNudgeBodyToward(body, target, maxStep = 0.1) {
-  if (!body || !target || body === target) return false;
-  const dx = target.mesh.position.x - body.mesh.position.x;
-  const dy = target.mesh.position.y - body.mesh.position.y;
-  const dist = Math.hypot(dx, dy);
-  if (dist < 1e-5) return false;
-
-  const dirX = dx / dist;
-  const dirY = dy / dist;
-
-  const radiusSelf = getSupportRadius(body, dirX, dirY);
-  const radiusTarget = getSupportRadius(target, -dirX, -dirY);
-  const idealDist = radiusSelf + radiusTarget;
-  const desiredDist = idealDist - Math.min(radiusSelf, radiusTarget) * 0.05;
-  const diff = dist - desiredDist;
-  if (diff <= 0) return true;
-
-  const step = Math.min(diff, maxStep);
-  body.mesh.position.x += dirX * step;
-  body.mesh.position.y += dirY * step;
-
-  const clampR = body.boundingRadius || 0;
-  body.mesh.position.x = Math.max(
-    -worldBoundsX + clampR,
-    Math.min(worldBoundsX - clampR, body.mesh.position.x)
-  );
-  body.mesh.position.y = Math.max(
-    -worldBoundsY + clampR,
-    Math.min(worldBoundsY - clampR, body.mesh.position.y)
-  );
-
-  if (body.velocity) {
-    body.velocity.multiplyScalar(0.3);
-  }
-  return true;
-}
-
-
-
-// Support radius of a body along a given (normalized) direction.
-// Возвращает расстояние от центра фигуры до самой "дальней" точки по направлению (dirX, dirY),
-// с учётом текущего поворота и позиции.
-function getSupportRadius(body, dirX, dirY) {
-  const verts = getWorldVertices(body);
-  const centerProj = body.mesh.position.x * dirX + body.mesh.position.y * dirY;
-  let radius = 0;
-  for (const v of verts) {
-    const p = v.x * dirX + v.y * dirY;
-    const d = Math.abs(p - centerProj);
-    if (d > radius) radius = d;
-  }
-  return radius;
-}
-
-
 // Simple deterministic RNG (Mulberry32)
 function createRng(seedStr) {
   // Convert string seed to 32-bit integer
@@ -237,32 +310,113 @@ function createRng(seedStr) {
 }
 
 function setPhysicsEnabled(enabled) {
+  const wasEnabled = physicsEnabled;
   physicsEnabled = enabled;
 
   // Обновляем иконку Play/Pause, если кнопка уже создана
   if (playPauseButton) {
     playPauseButton.textContent = physicsEnabled ? '⏸' : '▶';
+    playPauseButton.setAttribute('aria-label', physicsEnabled ? 'Pause animation' : 'Play animation');
+  }
+
+  // Фигуры остановились (пауза или покой) — это новая точка в истории
+  if (wasEnabled && !enabled) {
+    recordHistory();
   }
 }
 
-function applyPlayImpulse() {
+// Icon and spoken name of every physics mode (see PHYSICS_MODES in physics.js)
+const PHYSICS_MODE_UI = {
+  drift: { icon: '≈', label: 'Drift' },
+  gravity: { icon: '⬇', label: 'Gravity' },
+  attract: { icon: '⊕', label: 'Attract to pointer' },
+  orbit: { icon: '◎', label: 'Orbit' },
+  magnet: { icon: '🧲', label: 'Magnet' }
+};
+const PHYSICS_MODE_ORDER = Object.keys(PHYSICS_MODE_UI);
+
+function setPhysicsMode(mode) {
+  world.setMode(mode);
+
+  if (physicsModeButton) {
+    const ui = PHYSICS_MODE_UI[mode];
+    physicsModeButton.textContent = ui.icon;
+    physicsModeButton.setAttribute('aria-label', `Physics mode: ${ui.label}`);
+  }
+}
+
+function setColorTransferEnabled(enabled) {
+  colorTransferEnabled = enabled;
+
+  if (colorTransferButton) {
+    // OFF → ◩, ON → ◪
+    colorTransferButton.textContent = colorTransferEnabled ? '◪' : '◩';
+    colorTransferButton.setAttribute('aria-pressed', colorTransferEnabled ? 'true' : 'false');
+    // По умолчанию переключение OFF: более тёмный фон.
+    colorTransferButton.style.background = colorTransferEnabled
+      ? 'rgba(255,255,255,0.32)'
+      : 'rgba(255,255,255,0.12)';
+  }
+}
+
+// `random` is a seeded RNG (see getPlayRng), so the same impulse can be replayed.
+function applyPlayImpulse(random) {
+  // В режиме магнита фигуры разлетаются и собираются в кластер заново
+  world.releaseAnchors();
   // Каждый раз, когда нажимается "Play", даём всем фигурам новый импульс.
   for (const body of bodies) {
     if (!body.velocity) continue;
     if (body.isDragged) continue;
 
-    const angle = Math.random() * Math.PI * 2;
-    const baseSpeed = 0.8 + Math.random() * 1.2;
+    const angle = random() * Math.PI * 2;
+    const baseSpeed = 0.8 + random() * 1.2;
     const speedScale = body.speedScale || 1;
     const speedVal = baseSpeed * speedScale;
 
     body.velocity.set(Math.cos(angle) * speedVal, Math.sin(angle) * speedVal);
 
-    if (body.shapeType === 'rect' || body.shapeType === 'tri' || body.shapeType === 'circle') {
-      const spinBase = 0.6;
-      body.angularVelocity = (Math.random() - 0.5) * spinBase * speedScale;
-    }
+    const spinBase = 0.6;
+    body.angularVelocity = (random() - 0.5) * spinBase * speedScale;
+  }
+}
+
+// RNG of the `index`-th Play on the layout generated from `seed`.
+function getPlayRng(seed, index) {
+  return createRng(`${seed || ''}:play:${index}`);
+}
+
+// Kicks off an animation run: remembers the scene as it is now, then applies
+// the next impulse of the layout's play stream.
+function startPlayRun() {
+  lastPlayRun = { snapshot: serializeScene(), playIndex: playCount };
+  applyPlayImpulse(getPlayRng(currentSeed, playCount));
+  playCount++;
+  updateReplayButton();
+}
+
+// Puts the scene back where the last run started and applies the same impulse.
+// Physics runs in fixed steps without randomness, so the animation repeats
+// exactly as long as nobody touches the shapes.
+function replayLastRun() {
+  if (!lastPlayRun || recordingSession) return;
+  const { snapshot, playIndex } = lastPlayRun;
+  try {
+    withoutHistory(() => restoreScene(snapshot));
+  } catch (e) {
+    console.error('Failed to replay the last run:', e);
+    return;
   }
+  recordHistory();
+  applyPlayImpulse(getPlayRng(snapshot.seed, playIndex));
+  setPhysicsEnabled(true);
+  announce('Replaying the last run');
+}
+
+function updateReplayButton() {
+  if (!replayButton) return;
+  replayButton.disabled = !lastPlayRun;
+  replayButton.style.opacity = lastPlayRun ? '1' : '0.4';
+  replayButton.style.cursor = lastPlayRun ? 'pointer' : 'default';
 }
 
 function regenerateComposition(seed) {
@@ -272,30 +426,227 @@ function regenerateComposition(seed) {
 
   // Create a new RNG for this seed
   const rng = createRng(seed);
+  // A restored snapshot may have swapped in its own palette; go back to the series'
+  setActiveSpec(activeSpec);
 
-  // Remove old shape meshes from the scene
-  for (const body of bodies) {
+  currentSeed = seed;
+  updateSeedLabel(seed);
+  playCount = 0;
+
+  withoutHistory(() => {
+    // Clear physics bodies and disable physics while we rebuild
+    clearBodies();
+
+    // Recreate shapes in the existing scene with the new RNG
+    createShapes(rng, sceneRef);
+  });
+  recordHistory();
+}
+
+// Removes every body mesh from the scene and resets the body registry.
+function clearBodies() {
+  setFocusedBody(null, { silent: true });
+  for (const body of bodies.concat(parkedBodies.map(item => item.body))) {
     if (body.mesh && body.mesh.parent) {
       body.mesh.parent.remove(body.mesh);
     }
+    if (body.mesh) {
+      disposeBodyMaterial(body.mesh.material);
+    }
   }
-
-  // Clear physics bodies and disable physics while we rebuild
   bodies.length = 0;
+  parkedBodies = [];
   setPhysicsEnabled(false);
   bodyById.clear();
   nextBodyId = 1;
+}
+
+// --- Viewport reflow ---
+// After a resize (e.g. rotating a phone) the bodies are repacked into the new
+// bounds by planReflow: same relative arrangement, same colors, shrunk if the
+// screen got too small and grown back when there's room again. Shapes that
+// still don't fit are parked and reported instead of vanishing silently.
+const REFLOW_DELAY = 200; // ms after the last resize event
+const NOTICE_DURATION = 6000;
+let noticeTimer = null;
+
+// Shows a short message over the canvas (the #layoutNotice element).
+function showNotice(message) {
+  const notice = document.getElementById('layoutNotice');
+  if (!notice) return;
+  notice.textContent = message;
+  notice.hidden = false;
+  clearTimeout(noticeTimer);
+  noticeTimer = setTimeout(() => {
+    notice.hidden = true;
+  }, NOTICE_DURATION);
+}
+
+// Logs a failure and tells the user about it, on screen and to screen readers.
+function reportFailure(message, error) {
+  console.error(`${message}:`, error);
+  announce(message);
+  showNotice(message);
+}
+
+// `names` — shape descriptions, `outcome` — what happened to them.
+function reportUnplacedShapes(names, outcome) {
+  if (!names.length) return;
+  const message =
+    `${names.length} ${names.length === 1 ? 'shape' : 'shapes'} didn't fit on this screen ` +
+    `and ${names.length === 1 ? 'was' : 'were'} ${outcome}: ${names.join(', ')}`;
+  console.warn(message);
+  announce(message);
+  showNotice(message);
+}
+
+// Repacks the bodies from the `from` bounds into the `to` bounds (half-extents).
+function reflowBodies(from, to) {
+  if (!sceneRef) return;
+  if (from.x === to.x && from.y === to.y && !parkedBodies.length) return;
+
+  const parkedBefore = new Set(parkedBodies.map(item => item.body));
+  const items = bodies
+    .map(body => ({ body, u: body.position.x / from.x, v: body.position.y / from.y }))
+    .concat(parkedBodies);
+  const plan = planReflow(items, to);
+
+  let returned = 0;
+  for (const { body, x, y, factor } of plan.placements) {
+    if (factor !== 1) {
+      scaleBody(body, factor);
+      body.layoutScale = (body.layoutScale || 1) * factor;
+    }
+    body.position.x = x;
+    body.position.y = y;
+    if (parkedBefore.has(body)) {
+      world.addBody(body);
+      bodyById.set(body.id, body);
+      sceneRef.add(body.mesh);
+      returned++;
+    }
+  }
+
+  const newlyParked = plan.unplaced.filter(item => !parkedBefore.has(item.body));
+  for (const { body } of newlyParked) {
+    if (body === focusedBody) {
+      setFocusedBody(null, { silent: true });
+    }
+    world.removeBody(body);
+    bodyById.delete(body.id);
+    if (body.mesh.parent) {
+      body.mesh.parent.remove(body.mesh);
+    }
+  }
+  parkedBodies = plan.unplaced;
 
-  // Recreate shapes in the existing scene with the new RNG
-  createShapes(rng, sceneRef);
+  reportUnplacedShapes(
+    newlyParked.map(item => describeShape(item.body)),
+    'hidden until there is room again'
+  );
+  if (returned) {
+    const message = `${returned} hidden ${returned === 1 ? 'shape is' : 'shapes are'} back`;
+    announce(message);
+    showNotice(message);
+  }
 }
 
 function getSeed() {
-  // Всегда генерируем новый seed при загрузке страницы,
-  // без записи его в адресную строку.
+  // Всегда генерируем новый случайный seed.
+  // Адресную строку обновляет вызывающий код (см. writeSeedToUrl).
   return Math.random().toString(36).slice(2, 10);
 }
 
+const SEED_QUERY_PARAM = 'seed';
+
+// Seeds come from user-editable URLs, so keep only URL-safe characters.
+function sanitizeSeed(raw) {
+  if (typeof raw !== 'string') return null;
+  const clean = raw.trim().replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+  return clean || null;
+}
+
+function readSeedFromUrl() {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    return sanitizeSeed(params.get(SEED_QUERY_PARAM));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Seed for the first render: the shared ?seed= value if present, otherwise a fresh one.
+function getInitialSeed() {
+  return readSeedFromUrl() || getSeed();
+}
+
+function buildSeedUrl(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(SEED_QUERY_PARAM, seed);
+  url.hash = '';
+  return url.toString();
+}
+
+// Writes the seed into the address bar. `replace` is used for the initial load,
+// so that every later regeneration becomes a separate back/forward entry.
+function writeSeedToUrl(seed, replace = false) {
+  if (!window.history || typeof window.history.pushState !== 'function') return;
+  const url = buildSeedUrl(seed);
+  const state = { seed };
+  try {
+    if (replace) {
+      window.history.replaceState(state, '', url);
+    } else {
+      window.history.pushState(state, '', url);
+    }
+  } catch (e) {
+    // e.g. file:// pages where history URLs cannot be changed
+    console.warn('Unable to write seed to URL:', e);
+  }
+}
+
+function updateSeedLabel(seed) {
+  const label = document.getElementById('seedLabel');
+  if (label) {
+    label.textContent = seed;
+  }
+}
+
+function onSeedPopState(event) {
+  const seed = (event.state && sanitizeSeed(event.state.seed)) || readSeedFromUrl();
+  if (!seed || seed === currentSeed) return;
+  regenerateComposition(seed);
+}
+
+async function copySeedLink() {
+  const url = buildSeedUrl(currentSeed);
+  try {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(url);
+      return true;
+    }
+  } catch (e) {
+    console.warn('Clipboard API failed, falling back to execCommand:', e);
+  }
+
+  // Fallback for older browsers / insecure contexts
+  const textarea = document.createElement('textarea');
+  textarea.value = url;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (e) {
+    console.warn('Failed to copy link:', e);
+  }
+  document.body.removeChild(textarea);
+  return copied;
+}
+
 function createGradientTexture(colorStart, colorEnd) {
   const size = 256;
   const canvas = document.createElement('canvas');
@@ -333,7 +684,297 @@ function createCornerGradientTexture(colorStart, colorEnd) {
   return texture;
 }
 
-function createShapes(rng, scene) {
+// --- Rich fills (multi-stop / angled / conic gradients, noise, stripes, dots) ---
+// These presets are drawn into a canvas with the aspect ratio of the shape's
+// bounding box (the box the UVs span), so dots stay round and angles stay true.
+// Anything random (grain, dot jitter) comes from the body's fill seed, which is
+// derived from the composition seed, so the same seed gives the same picture.
+const FILL_TEXTURE_SIZE = 512;
+const PATTERN_PRESET_KINDS = ['conic', 'noise', 'stripes', 'dots'];
+
+// Presets that need getPresetTexture (everything but solids and the plain
+// left-to-right from/to gradient).
+function isRichPreset(preset) {
+  return !!preset && (PATTERN_PRESET_KINDS.includes(preset.kind) || (preset.kind === 'gradient' && !!preset.stops));
+}
+
+function getPresetStops(preset) {
+  if (Array.isArray(preset.stops)) {
+    return preset.stops.map((stop, i, all) =>
+      typeof stop === 'string'
+        ? { offset: all.length > 1 ? i / (all.length - 1) : 0, color: toOpaqueHex(stop) }
+        : { offset: stop.offset, color: toOpaqueHex(stop.color) }
+    );
+  }
+  return [
+    { offset: 0, color: toOpaqueHex(preset.from) },
+    { offset: 1, color: toOpaqueHex(preset.to) }
+  ];
+}
+
+// Colors a preset is made of, in order (first one is its "main" color).
+function getPresetColors(preset) {
+  switch (preset.kind) {
+    case 'gradient':
+    case 'conic':
+      return getPresetStops(preset).map(stop => stop.color);
+    case 'stripes':
+      return preset.colors.map(toOpaqueHex);
+    case 'dots':
+      return [toOpaqueHex(preset.color), toOpaqueHex(preset.dotColor)];
+    default:
+      return [toOpaqueHex(preset.color)];
+  }
+}
+
+function getLocalBounds(localVerts) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const v of localVerts) {
+    minX = Math.min(minX, v.x);
+    maxX = Math.max(maxX, v.x);
+    minY = Math.min(minY, v.y);
+    maxY = Math.max(maxY, v.y);
+  }
+  return { minX, maxX, minY, maxY };
+}
+
+// Start and end points of a gradient line at `angle` degrees (0 = left to
+// right, 90 = bottom to top) that just covers a w × h canvas, like CSS does.
+function getGradientLine(w, h, angle) {
+  const rad = (angle * Math.PI) / 180;
+  const dx = Math.cos(rad);
+  const dy = -Math.sin(rad); // canvas y points down
+  const half = (Math.abs(w * dx) + Math.abs(h * dy)) / 2;
+  return {
+    x0: w / 2 - dx * half,
+    y0: h / 2 - dy * half,
+    x1: w / 2 + dx * half,
+    y1: h / 2 + dy * half
+  };
+}
+
+function drawConicGradient(ctx, w, h, stops, angle) {
+  // Conic gradients in canvas start at +x and run clockwise
+  const start = (-angle * Math.PI) / 180;
+  if (typeof ctx.createConicGradient === 'function') {
+    const grad = ctx.createConicGradient(start, w / 2, h / 2);
+    stops.forEach(stop => grad.addColorStop(stop.offset, stop.color));
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, w, h);
+    return;
+  }
+  // Fallback for browsers without createConicGradient: thin interpolated wedges
+  const wedges = 360;
+  const radius = Math.hypot(w, h);
+  const colors = stops.map(stop => ({ offset: stop.offset, color: new THREE.Color(stop.color) }));
+  const color = new THREE.Color();
+  for (let i = 0; i < wedges; i++) {
+    const t = i / wedges;
+    let k = 0;
+    while (k < colors.length - 2 && t > colors[k + 1].offset) k++;
+    const a = colors[k];
+    const b = colors[Math.min(k + 1, colors.length - 1)];
+    const span = b.offset - a.offset;
+    color.copy(a.color).lerp(b.color, span > 0 ? Math.max(0, Math.min(1, (t - a.offset) / span)) : 0);
+    ctx.fillStyle = '#' + color.getHexString();
+    ctx.beginPath();
+    ctx.moveTo(w / 2, h / 2);
+    ctx.arc(w / 2, h / 2, radius, start + t * Math.PI * 2, start + ((i + 1.5) / wedges) * Math.PI * 2);
+    ctx.closePath();
+    ctx.fill();
+  }
+}
+
+function drawNoise(ctx, w, h, preset, rng) {
+  ctx.fillStyle = toOpaqueHex(preset.color);
+  ctx.fillRect(0, 0, w, h);
+  const image = ctx.getImageData(0, 0, w, h);
+  const data = image.data;
+  const amplitude = (preset.grain === undefined ? 0.25 : preset.grain) * 255;
+  for (let i = 0; i < data.length; i += 4) {
+    // Одинаковый сдвиг по всем каналам — зерно по яркости, без цветного шума
+    const delta = (rng() - 0.5) * 2 * amplitude;
+    data[i] += delta;
+    data[i + 1] += delta;
+    data[i + 2] += delta;
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+function drawStripes(ctx, w, h, preset) {
+  const colors = preset.colors.map(toOpaqueHex);
+  const stripe = Math.max(1, (preset.width === undefined ? 0.08 : preset.width) * Math.min(w, h));
+  const reach = Math.hypot(w, h);
+  ctx.save();
+  ctx.translate(w / 2, h / 2);
+  // Полосы идут вдоль направления angle
+  ctx.rotate((-(preset.angle === undefined ? 45 : preset.angle) * Math.PI) / 180);
+  let k = 0;
+  for (let y = -reach; y < reach; y += stripe, k++) {
+    ctx.fillStyle = colors[k % colors.length];
+    // Перекрытие на 1px убирает тонкие щели при сглаживании
+    ctx.fillRect(-reach, y, reach * 2, stripe + 1);
+  }
+  ctx.restore();
+}
+
+function drawDots(ctx, w, h, preset, rng) {
+  ctx.fillStyle = toOpaqueHex(preset.color);
+  ctx.fillRect(0, 0, w, h);
+  const spacing = Math.max(2, (preset.spacing === undefined ? 0.12 : preset.spacing) * Math.min(w, h));
+  const radius = spacing * (preset.radius === undefined ? 0.3 : preset.radius);
+  const jitter = (preset.jitter || 0) * spacing * 0.5;
+  ctx.fillStyle = toOpaqueHex(preset.dotColor);
+  // Hexagonal grid: every other row is shifted by half a step
+  const rowStep = spacing * Math.sqrt(3) / 2;
+  let row = 0;
+  for (let y = -rowStep; y < h + rowStep; y += rowStep, row++) {
+    const shift = row % 2 ? spacing / 2 : 0;
+    for (let x = -spacing + shift; x < w + spacing; x += spacing) {
+      const jx = jitter ? (rng() - 0.5) * 2 * jitter : 0;
+      const jy = jitter ? (rng() - 0.5) * 2 * jitter : 0;
+      ctx.beginPath();
+      ctx.arc(x + jx, y + jy, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// Draws a rich preset into a new canvas of the given aspect ratio (width / height).
+function createPresetCanvas(preset, { seed = '', aspect = 1 } = {}) {
+  const canvas = document.createElement('canvas');
+  const safeAspect = Number.isFinite(aspect) && aspect > 0 ? aspect : 1;
+  canvas.width = Math.max(8, Math.round(safeAspect >= 1 ? FILL_TEXTURE_SIZE : FILL_TEXTURE_SIZE * safeAspect));
+  canvas.height = Math.max(8, Math.round(safeAspect >= 1 ? FILL_TEXTURE_SIZE / safeAspect : FILL_TEXTURE_SIZE));
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  const rng = createRng(`${seed}:${preset.kind}`);
+
+  if (preset.kind === 'conic') {
+    drawConicGradient(ctx, w, h, getPresetStops(preset), preset.angle || 0);
+  } else if (preset.kind === 'noise') {
+    drawNoise(ctx, w, h, preset, rng);
+  } else if (preset.kind === 'stripes') {
+    drawStripes(ctx, w, h, preset);
+  } else if (preset.kind === 'dots') {
+    drawDots(ctx, w, h, preset, rng);
+  } else {
+    const line = getGradientLine(w, h, preset.angle || 0);
+    const grad = ctx.createLinearGradient(line.x0, line.y0, line.x1, line.y1);
+    getPresetStops(preset).forEach(stop => grad.addColorStop(stop.offset, stop.color));
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, w, h);
+  }
+  return canvas;
+}
+
+// Fill textures are cached by what they show, so recoloring (color transfer
+// runs on every collision) reuses them instead of redrawing. Each entry counts
+// the materials using it; unused entries stay around for reuse until the cache
+// grows past FILL_TEXTURE_CACHE_LIMIT, then the oldest of them are disposed.
+const FILL_TEXTURE_CACHE_LIMIT = 64;
+const fillTextureCache = new Map();
+
+function acquireFillTexture(key, create) {
+  let entry = fillTextureCache.get(key);
+  if (entry) {
+    // Map хранит порядок вставки: переносим запись в конец как самую свежую
+    fillTextureCache.delete(key);
+  } else {
+    const texture = create();
+    texture.userData.fillCacheKey = key;
+    entry = { texture, users: 0 };
+  }
+  entry.users++;
+  fillTextureCache.set(key, entry);
+  trimFillTextureCache();
+  return entry.texture;
+}
+
+function releaseFillTexture(texture) {
+  const entry = fillTextureCache.get(texture.userData.fillCacheKey);
+  if (entry && entry.texture === texture) {
+    entry.users = Math.max(0, entry.users - 1);
+    trimFillTextureCache();
+  } else {
+    texture.dispose();
+  }
+}
+
+function trimFillTextureCache() {
+  for (const [key, entry] of fillTextureCache) {
+    if (fillTextureCache.size <= FILL_TEXTURE_CACHE_LIMIT) break;
+    if (!entry.users) {
+      fillTextureCache.delete(key);
+      entry.texture.dispose();
+    }
+  }
+}
+
+function getGradientTexture(colorStart, colorEnd) {
+  return acquireFillTexture(`gradient|${colorStart}|${colorEnd}`, () =>
+    createGradientTexture(colorStart, colorEnd)
+  );
+}
+
+// Texture for a rich preset. The aspect is rounded so that bodies of nearly
+// the same proportions share a texture; only grain and dots depend on the seed.
+function getPresetTexture(preset, { seed = '', aspect = 1 } = {}) {
+  const roundedAspect = Number.isFinite(aspect) && aspect > 0 ? Math.round(aspect * 100) / 100 : 1;
+  const seeded = preset.kind === 'noise' || preset.kind === 'dots';
+  const key = [JSON.stringify(preset), seeded ? seed : '', roundedAspect].join('|');
+  return acquireFillTexture(key, () => {
+    const texture = new THREE.CanvasTexture(createPresetCanvas(preset, { seed, aspect: roundedAspect }));
+    texture.needsUpdate = true;
+    return texture;
+  });
+}
+
+// Frees a body material; its texture goes back to the fill texture cache.
+function disposeBodyMaterial(material) {
+  if (!material) return;
+  if (material.map) {
+    releaseFillTexture(material.map);
+  }
+  material.dispose();
+}
+
+// Material for any preset kind. `seed` and `aspect` only matter for rich presets.
+function createPresetMaterial(preset, options = {}) {
+  let mat;
+  let baseColor;
+  if (preset.kind === 'solid') {
+    baseColor = new THREE.Color(toOpaqueHex(preset.color));
+    mat = new THREE.MeshBasicMaterial({ color: baseColor.clone() });
+  } else if (isRichPreset(preset)) {
+    mat = new THREE.MeshBasicMaterial({ map: getPresetTexture(preset, options) });
+    baseColor = new THREE.Color(getPresetColors(preset)[0]);
+  } else if (preset.kind === 'gradient') {
+    mat = new THREE.MeshBasicMaterial({ map: getGradientTexture(preset.from, preset.to) });
+    baseColor = new THREE.Color(toOpaqueHex(preset.from));
+  } else {
+    // Fallback: простой белый цвет, на текущем наборе пресетов сюда попадать не должны.
+    baseColor = new THREE.Color('#ffffff');
+    mat = new THREE.MeshBasicMaterial({ color: baseColor.clone() });
+  }
+  mat.userData = { baseColor };
+  return mat;
+}
+
+// Seed for a body's grain / jitter: stable for the composition seed and the
+// body's place in it, and carried along in snapshots.
+function getBodyFillSeed(body) {
+  if (!body.fillSeed) {
+    body.fillSeed = `${currentSeed || ''}:${body.id}`;
+  }
+  return body.fillSeed;
+}
+
+function createShapes(rng, scene, spec = activeSpec) {
   const baseBoundsX = 4;
   const baseBoundsY = 2.2;
   // Фигуры всегда в "эталонном" масштабе, не уменьшаем их на маленьких экранах.
@@ -354,16 +995,20 @@ function createShapes(rng, scene) {
     return new THREE.Vector2(Math.cos(angle) * speed, Math.sin(angle) * speed);
   }
 
+  const palette = spec.palette;
+
   // Копия списка индексов цветов для текущей композиции.
-  // Каждый пресет будет использован не больше одного раза.
-  let availablePresetIndices = COLOR_PRESETS.map((_, idx) => idx);
+  // Каждый пресет используется один раз, пока пул не опустеет;
+  // если фигур больше, чем цветов, пул заполняется заново.
+  let availablePresetIndices = palette.map((_, idx) => idx);
 
   function takePresetIndex() {
     if (availablePresetIndices.length === 0) {
-      console.warn('No color presets left - this should not happen if shapes === presets');
-      // На всякий случай возвращаем первый индекс,
-      // но при нормальной работе сюда не попадаем.
-      return 0;
+      availablePresetIndices = palette.map((_, idx) => idx);
+    }
+    if (availablePresetIndices.length === 0) {
+      // Пустая палитра: makeMaterialFromPreset подставит случайный HSL-цвет
+      return null;
     }
     const idx = Math.floor(rng() * availablePresetIndices.length);
     const [presetIndex] = availablePresetIndices.splice(idx, 1);
@@ -400,9 +1045,14 @@ function createShapes(rng, scene) {
       return makeSolid(hex);
     }
 
+    if (isRichPreset(preset)) {
+      // Placeholder: the real texture is drawn once the body exists (see below)
+      return makeSolid(getPresetColors(preset)[0]);
+    }
+
     if (preset.kind === 'gradient') {
       const mat = new THREE.MeshBasicMaterial({
-        map: createGradientTexture(preset.from, preset.to)
+        map: getGradientTexture(preset.from, preset.to)
       });
       if (!mat.userData) mat.userData = {};
       // В качестве базового цвета берём начало градиента (обрезаем альфу).
@@ -420,7 +1070,7 @@ function createShapes(rng, scene) {
     return makeSolid(col);
   }
 
-  function placeMesh(mesh, boundingRadius, localVerts, shapeType, contactRadius, colorIndex) {
+  function placeMesh(mesh, boundingRadius, localVerts, shapeType, contactRadius, colorIndex, parts) {
     if (contactRadius === undefined || contactRadius === null) {
       contactRadius = boundingRadius;
     }
@@ -452,7 +1102,8 @@ function createShapes(rng, scene) {
         velocity: new THREE.Vector2(0, 0),
         angularVelocity: 0,
         shapeType,
-        colorIndex
+        colorIndex,
+        parts
       });
       return true;
     }
@@ -544,7 +1195,8 @@ function createShapes(rng, scene) {
                 velocity: new THREE.Vector2(0, 0),
                 angularVelocity: 0,
                 shapeType,
-                colorIndex
+                colorIndex,
+                parts
               });
               return true;
             }
@@ -560,6 +1212,9 @@ function createShapes(rng, scene) {
     function evaluateCandidate(x, y) {
       // Transform candidate vertices into world space with current rotation
       const candidateVerts = transformVerts(localVerts, x, y, mesh.rotation.z);
+      const candidateParts = parts
+        ? parts.map(part => transformVerts(part, x, y, mesh.rotation.z))
+        : [candidateVerts];
 
       // Bounds check by vertices
       for (const v of candidateVerts) {
@@ -592,10 +1247,9 @@ function createShapes(rng, scene) {
           continue;
         }
 
-        // General case: SAT for arbitrary convex polygons,
+        // General case: SAT for arbitrary convex polygons (piece by piece for compound shapes),
         // но с небольшим допуском по глубине пересечения.
-        const bodyVerts = getWorldVertices(body);
-        const result = polygonPolygonSAT(bodyVerts, candidateVerts);
+        const result = partsSAT(getWorldParts(body), candidateParts);
         if (result && result.depth > 0.002) {
           return null;
         }
@@ -783,7 +1437,8 @@ function createShapes(rng, scene) {
       velocity: new THREE.Vector2(0, 0),
       angularVelocity: 0,
       shapeType,
-      colorIndex
+      colorIndex,
+      parts
     });
     return true;
   }
@@ -793,7 +1448,7 @@ function createShapes(rng, scene) {
     const geo = new THREE.CircleGeometry(physicalRadius, 64);
     // Берём один из доступных пресетов и убираем его из пула
     const presetIndex = takePresetIndex();
-    const preset = COLOR_PRESETS[presetIndex];
+    const preset = palette[presetIndex];
     // Для кругов снова разрешаем любые материалы из пресета, включая градиенты.
     const mat = makeMaterialFromPreset(preset);
 
@@ -826,7 +1481,7 @@ function createShapes(rng, scene) {
     const geo = new THREE.PlaneGeometry(physicalWidth, physicalHeight);
 
     const presetIndex = takePresetIndex();
-    const preset = COLOR_PRESETS[presetIndex];
+    const preset = palette[presetIndex];
     const mat = makeMaterialFromPreset(preset);
     const mesh = new THREE.Mesh(geo, mat);
 
@@ -893,14 +1548,16 @@ function createShapes(rng, scene) {
 
     // Берём пресет из общего пула без повторов
     const presetIndex = takePresetIndex();
-    const preset = COLOR_PRESETS[presetIndex];
+    const preset = palette[presetIndex];
 
     // Для треугольников ВСЕГДА используем градиент,
     // который исходит из одного угла (первой вершины).
     let fromColor;
     let toColor;
 
-    if (preset && preset.kind === 'gradient') {
+    if (isRichPreset(preset)) {
+      ({ from: fromColor, to: toColor } = getTriangleGradientColors(preset));
+    } else if (preset && preset.kind === 'gradient') {
       fromColor = preset.from;
       toColor = preset.to;
     } else if (preset && preset.kind === 'solid') {
@@ -976,34 +1633,139 @@ function createShapes(rng, scene) {
     addRect(size, size, true);
   }
 
-  // Сначала добавляем более маленькие фигуры, затем крупные,
-  // чтобы при нехватке места в первую очередь сохранялись маленькие.
-
-  // Малые круг и квадрат
-  addCircle(0.3);
-  addSquare(0.3);
+  // Generic polygon shape from shapes.js: regular n-gons, half-circles,
+  // arcs and stars (the last two are compound, made of convex parts).
+  function addPolygonShape(shapeType, shape, contactFactor) {
+    const localVerts = shape.localVerts.map(v => ({ x: v.x * scale, y: v.y * scale }));
+    const parts =
+      shape.parts.length > 1
+        ? shape.parts.map(part => part.map(v => ({ x: v.x * scale, y: v.y * scale })))
+        : undefined;
+    const geo = createPolygonGeometry(parts || [localVerts]);
 
-  // Малый треугольник
-  addTriangle(0.3);
+    const presetIndex = takePresetIndex();
+    const preset = palette[presetIndex];
+    const mat = makeMaterialFromPreset(preset);
+    const mesh = new THREE.Mesh(geo, mat);
 
-  // Более «лёгкий» по площади прямоугольник (1.8 * 0.25 = 0.45)
-  addRect(1, 0.2);  // очень тонкий и длинный
+    let boundingRadius = 0;
+    for (const v of localVerts) {
+      const r = Math.hypot(v.x, v.y);
+      if (r > boundingRadius) boundingRadius = r;
+    }
+    const contactRadius = boundingRadius * contactFactor;
 
-  // Средние фигуры
-  addCircle(0.65);
-  addSquare(0.8);
+    const maxAttempts = 10;
+    let placed = false;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      mesh.rotation.z = rng() * Math.PI * 2;
+      if (placeMesh(mesh, boundingRadius, localVerts, shapeType, contactRadius, presetIndex, parts)) {
+        placed = true;
+        break;
+      }
+    }
 
-  // Более «тяжёлый» прямоугольник (1.4 * 0.5 = 0.7)
-  addRect(1, 0.4); 
+    if (!placed) {
+      console.warn(`Could not place ${shapeType}`);
+      return;
+    }
 
-  // Крупные фигуры
-  addTriangle(1);
-  addCircle(0.8);
-  addSquare(1.2);
+    scene.add(mesh);
+  }
 
-  // После того как все фигуры созданы и "примагничены" placeMesh,
-  // сразу запускаем физику и даём им стартовое движение.
-  setPhysicsEnabled(true);
+  // Число или диапазон [min, max] из спецификации.
+  // Для чисел RNG не используется, так что фиксированные спецификации
+  // дают ту же последовательность, что и раньше.
+  function pickValue(value) {
+    if (Array.isArray(value)) {
+      const [min, max] = value;
+      return min + rng() * (max - min);
+    }
+    return value;
+  }
+
+  function pickCount(value) {
+    if (value === undefined || value === null) return 1;
+    if (Array.isArray(value)) {
+      const [min, max] = value;
+      return min + Math.floor(rng() * (max - min + 1));
+    }
+    return value;
+  }
+
+  // Название фигуры из спецификации — для сообщения о том, что она не поместилась
+  function describeSpecEntry(entry) {
+    if (entry.type === 'ngon') {
+      const sides = entry.sides || 6;
+      return POLYGON_NAMES[sides] || `${sides}-sided polygon`;
+    }
+    return { rect: 'rectangle', halfcircle: 'half circle' }[entry.type] || entry.type;
+  }
+
+  const unplaced = [];
+
+  // Фигуры добавляются в порядке спецификации
+  for (const entry of spec.shapes) {
+    const count = pickCount(entry.count);
+    for (let k = 0; k < count; k++) {
+      const countBefore = bodies.length;
+      switch (entry.type) {
+        case 'circle':
+          addCircle(pickValue(entry.size));
+          break;
+        case 'square':
+          addSquare(pickValue(entry.size));
+          break;
+        case 'triangle':
+          addTriangle(pickValue(entry.size));
+          break;
+        case 'rect':
+          addRect(pickValue(entry.width), pickValue(entry.height));
+          break;
+        case 'ngon': {
+          const sides = entry.sides || 6;
+          // Контактный радиус — вписанная окружность многоугольника
+          addPolygonShape('ngon', regularPolygon(sides, pickValue(entry.size)), Math.cos(Math.PI / sides));
+          break;
+        }
+        case 'halfcircle':
+          addPolygonShape('halfcircle', halfCircle(pickValue(entry.size)), 0.6);
+          break;
+        case 'arc': {
+          const outer = pickValue(entry.size);
+          const thickness = pickValue(entry.thickness || 0.3) * outer;
+          const sweep = ((entry.sweep || 180) * Math.PI) / 180;
+          addPolygonShape('arc', arc(outer, outer - thickness, sweep), 0.6);
+          break;
+        }
+        case 'star': {
+          const outer = pickValue(entry.size);
+          const inner = outer * (entry.innerRatio || 0.45);
+          addPolygonShape('star', star(entry.points || 5, outer, inner), 0.6);
+          break;
+        }
+        default:
+          console.warn(`Unknown shape type in composition spec: ${entry.type}`);
+          continue;
+      }
+      if (bodies.length === countBefore) {
+        unplaced.push(describeSpecEntry(entry));
+      }
+    }
+  }
+  reportUnplacedShapes(unplaced, 'left out');
+
+  // Rich fills depend on the body's seed and bounds, so they are drawn only
+  // now that every body is placed (until then they show their first color).
+  for (const body of bodies) {
+    if (isRichPreset(getBodyPreset(body))) {
+      applyColorPresetToBody(body);
+    }
+  }
+
+  // После того как все фигуры созданы и "примагничены" placeMesh,
+  // сразу запускаем физику и даём им стартовое движение.
+  setPhysicsEnabled(true);
 
   for (const body of bodies) {
     const r = body.boundingRadius;
@@ -1025,36 +1787,54 @@ function createShapes(rng, scene) {
     body.angularVelocity = (rng() - 0.5) * spinBase * spinScale;
   }
 }
-// Helper: apply color preset to an existing body (by colorIndex)
-function applyColorPresetToBody(body) {
-  const presetIndex = body.colorIndex;
-  if (presetIndex === undefined || presetIndex === null) return;
-  const preset = COLOR_PRESETS[presetIndex];
+// Two opaque colors of the triangle's corner gradient for a preset
+// (solids get a slightly darker second color, rich fills their first and last colors).
+function getTriangleGradientColors(preset) {
+  let fromColor;
+  let toColor;
+
+  if (isRichPreset(preset)) {
+    const colors = getPresetColors(preset);
+    if (colors.length > 1) {
+      return { from: colors[0], to: colors[colors.length - 1] };
+    }
+    // Шум: как у сплошного цвета, второй цвет чуть темнее
+    return getTriangleGradientColors({ kind: 'solid', color: colors[0] });
+  } else if (preset.kind === 'gradient') {
+    fromColor = preset.from;
+    toColor = preset.to;
+  } else if (preset.kind === 'solid') {
+    const base = new THREE.Color(toOpaqueHex(preset.color));
+    const c1 = base.clone();
+    const c2 = base.clone();
+    c2.offsetHSL(0, 0, -0.15);
+    fromColor = '#' + c1.getHexString();
+    toColor = '#' + c2.getHexString();
+  } else {
+    // fallback, не должен использоваться с текущим набором пресетов
+    fromColor = '#ffffff';
+    toColor = '#000000';
+  }
+
+  return { from: toOpaqueHex(fromColor), to: toOpaqueHex(toColor) };
+}
+
+// A body shows its palette preset (by colorIndex) unless a color transfer rule
+// gave it a preset of its own (e.g. a blend of two palette colors).
+function getBodyPreset(body, palette = activePalette) {
+  if (body.colorPreset) return body.colorPreset;
+  if (body.colorIndex === undefined || body.colorIndex === null) return null;
+  return palette[body.colorIndex] || null;
+}
+
+// Helper: apply color preset to an existing body (see getBodyPreset)
+function applyColorPresetToBody(body, palette = activePalette) {
+  const preset = getBodyPreset(body, palette);
   if (!preset) return;
 
   // Треугольники рисуем своим градиентом "из угла".
   if (body.shapeType === 'tri') {
-    let fromColor;
-    let toColor;
-
-    if (preset.kind === 'gradient') {
-      fromColor = preset.from;
-      toColor = preset.to;
-    } else if (preset.kind === 'solid') {
-      const base = new THREE.Color(preset.color);
-      const c1 = base.clone();
-      const c2 = base.clone();
-      c2.offsetHSL(0, 0, -0.15);
-      fromColor = '#' + c1.getHexString();
-      toColor = '#' + c2.getHexString();
-    } else {
-      // fallback, не должен использоваться с текущим набором пресетов
-      fromColor = '#ffffff';
-      toColor = '#000000';
-    }
-
-    fromColor = toOpaqueHex(fromColor);
-    toColor = toOpaqueHex(toColor);
+    const { from: fromColor, to: toColor } = getTriangleGradientColors(preset);
     const cStart = new THREE.Color(fromColor);
     const cEnd = new THREE.Color(toColor);
     const cMid = cStart.clone().lerp(cEnd, 0.5);
@@ -1070,42 +1850,584 @@ function applyColorPresetToBody(body) {
 
     const mat = new THREE.MeshBasicMaterial({ vertexColors: true });
     mat.userData = { baseColor: cStart.clone() };
+    disposeBodyMaterial(body.mesh.material);
     body.mesh.material = mat;
     return;
   }
 
-  // Для кругов и прямоугольников вручную создаём материал по пресету
-  let mat;
-  if (preset.kind === 'solid') {
-    const hex = toOpaqueHex(preset.color);
-    const col = new THREE.Color(hex);
-    mat = new THREE.MeshBasicMaterial({ color: col });
-    mat.userData = { baseColor: col.clone() };
-  } else if (preset.kind === 'gradient') {
-    const tex = createGradientTexture(preset.from, preset.to);
-    mat = new THREE.MeshBasicMaterial({ map: tex });
-    mat.userData = { baseColor: new THREE.Color(toOpaqueHex(preset.from)) };
+  // Для остальных фигур создаём материал по пресету
+  const bounds = getLocalBounds(body.localVerts);
+  disposeBodyMaterial(body.mesh.material);
+  body.mesh.material = createPresetMaterial(preset, {
+    seed: getBodyFillSeed(body),
+    aspect: (bounds.maxX - bounds.minX) / (bounds.maxY - bounds.minY)
+  });
+}
+
+// Replaces the active palette and recolors every body in place (the layout is
+// kept). `remapIndex(oldIndex)` maps the bodies' colorIndex into the new
+// palette; by default indices wrap around when the palette got shorter.
+function setActivePalette(palette, remapIndex = index => index % palette.length) {
+  if (!Array.isArray(palette) || !palette.length) return;
+  activePalette = palette;
+  for (const body of bodies) {
+    if (Number.isInteger(body.colorIndex)) {
+      body.colorIndex = remapIndex(body.colorIndex);
+    }
+    applyColorPresetToBody(body);
+  }
+  refreshPaletteEditor();
+}
+
+// --- Scene snapshots (JSON, format in snapshot.js) ---
+function serializeBody(body) {
+  return {
+    shapeType: body.shapeType,
+    localVerts: body.localVerts.map(v => ({ x: v.x, y: v.y })),
+    parts: body.parts ? body.parts.map(part => part.map(v => ({ x: v.x, y: v.y }))) : undefined,
+    position: { x: body.mesh.position.x, y: body.mesh.position.y },
+    rotation: body.mesh.rotation.z,
+    velocity: { x: body.velocity.x, y: body.velocity.y },
+    angularVelocity: body.angularVelocity || 0,
+    colorIndex: body.colorIndex,
+    colorPreset: body.colorPreset,
+    fillSeed: getBodyFillSeed(body),
+    contactRadius: body.contactRadius,
+    speedScale: body.speedScale || 1,
+    layoutScale: body.layoutScale || 1,
+    isMagnetAnchored: !!body.isMagnetAnchored
+  };
+}
+
+function serializeScene() {
+  return {
+    format: SCENE_SNAPSHOT_FORMAT,
+    version: SCENE_SNAPSHOT_VERSION,
+    seed: currentSeed,
+    physicsEnabled,
+    physicsMode: world.mode,
+    worldBounds: { x: worldBoundsX, y: worldBoundsY },
+    palette: activePalette,
+    bodies: serializeSceneBodies(bodies, parkedBodies, serializeBody)
+  };
+}
+
+// Triangulated geometry for convex parts (a fan per part), with UVs spread
+// over the bounding box like PlaneGeometry, so gradient textures map the same way.
+function createPolygonGeometry(parts) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const part of parts) {
+    for (const v of part) {
+      minX = Math.min(minX, v.x);
+      maxX = Math.max(maxX, v.x);
+      minY = Math.min(minY, v.y);
+      maxY = Math.max(maxY, v.y);
+    }
+  }
+  const width = maxX - minX || 1;
+  const height = maxY - minY || 1;
+
+  const positions = [];
+  const uvs = [];
+  for (const part of parts) {
+    for (let i = 1; i < part.length - 1; i++) {
+      for (const v of [part[0], part[i], part[i + 1]]) {
+        positions.push(v.x, v.y, 0);
+        uvs.push((v.x - minX) / width, (v.y - minY) / height);
+      }
+    }
+  }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+  geo.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+  geo.computeVertexNormals();
+  return geo;
+}
+
+// Builds a mesh for restored local vertices. Materials are assigned afterwards
+// by applyColorPresetToBody, exactly like after a color swap.
+function createMeshForVerts(shapeType, localVerts, parts) {
+  let geo;
+  if (shapeType === 'circle') {
+    let radius = 0;
+    for (const v of localVerts) {
+      radius = Math.max(radius, Math.hypot(v.x, v.y));
+    }
+    geo = new THREE.CircleGeometry(radius, 64);
+  } else if (shapeType === 'rect') {
+    let maxX = 0;
+    let maxY = 0;
+    for (const v of localVerts) {
+      maxX = Math.max(maxX, Math.abs(v.x));
+      maxY = Math.max(maxY, Math.abs(v.y));
+    }
+    geo = new THREE.PlaneGeometry(maxX * 2, maxY * 2);
+  } else if (shapeType === 'tri') {
+    // Vertex order matters: the first vertex is the gradient "source" corner.
+    const positions = [];
+    for (const v of localVerts) {
+      positions.push(v.x, v.y, 0);
+    }
+    geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+    geo.computeVertexNormals();
   } else {
-    // Fallback: простой белый цвет, на текущем наборе пресетов сюда попадать не должны.
-    const col = new THREE.Color('#ffffff');
-    mat = new THREE.MeshBasicMaterial({ color: col });
-    mat.userData = { baseColor: col.clone() };
+    geo = createPolygonGeometry(parts || [localVerts]);
   }
-  body.mesh.material = mat;
+  return new THREE.Mesh(geo, new THREE.MeshBasicMaterial());
 }
 
-  function createScene(seed) {
-  function transferColorOnCollision(a, b) {
-    // При столкновении фигуры ОБМЕНИВАЮТСЯ своими цветами (пресетами),
-    // так что общее количество цветов остаётся тем же (10).
-    if (a.colorIndex === undefined || b.colorIndex === undefined) return;
-    const tmp = a.colorIndex;
-    a.colorIndex = b.colorIndex;
-    b.colorIndex = tmp;
+// A body for a snapshot entry, with its mesh and material but not yet added to
+// the world or the scene. `defaultFillSeed` is used for older snapshots, which
+// have no fill seed of their own.
+function createBodyFromSnapshot(entry, palette, defaultFillSeed) {
+  const localVerts = entry.localVerts.map(v => ({ x: v.x, y: v.y }));
+  const parts = entry.parts
+    ? entry.parts.map(part => part.map(v => ({ x: v.x, y: v.y })))
+    : undefined;
+  const mesh = createMeshForVerts(entry.shapeType, localVerts, parts);
+  mesh.position.set(entry.position.x, entry.position.y, 0);
+  mesh.rotation.z = entry.rotation;
+
+  let boundingRadius = 0;
+  for (const v of localVerts) {
+    boundingRadius = Math.max(boundingRadius, Math.hypot(v.x, v.y));
+  }
+  const mass = boundingRadius * boundingRadius;
+  const body = {
+    mesh,
+    localVerts,
+    boundingRadius,
+    contactRadius: isFiniteNumber(entry.contactRadius) ? entry.contactRadius : boundingRadius,
+    mass,
+    invMass: 1 / mass,
+    velocity: new THREE.Vector2(entry.velocity.x, entry.velocity.y),
+    angularVelocity: entry.angularVelocity,
+    shapeType: entry.shapeType,
+    colorIndex: entry.colorIndex,
+    parts,
+    speedScale: isFiniteNumber(entry.speedScale) ? entry.speedScale : 1,
+    fillSeed: entry.fillSeed || defaultFillSeed
+  };
+  if (entry.colorPreset) {
+    body.colorPreset = normalizePreset(entry.colorPreset);
+  }
+  if (entry.layoutScale) {
+    body.layoutScale = entry.layoutScale;
+  }
+  applyColorPresetToBody(body, palette);
+  return body;
+}
+
+function restoreScene(snapshot) {
+  if (!sceneRef) {
+    return;
+  }
+  validateSceneSnapshot(snapshot, activePalette);
+
+  const palette = snapshot.palette ? snapshot.palette.map(normalizePreset) : activePalette;
+  const seed = (snapshot.seed && sanitizeSeed(snapshot.seed)) || currentSeed;
+
+  // Everything that can fail is built before the current bodies are cleared,
+  // so a snapshot that can't be restored leaves the scene as it was.
+  // Fill seeds of older snapshots follow the ids the bodies get below.
+  const restored = [];
+  try {
+    snapshot.bodies.forEach((entry, i) => {
+      restored.push({ entry, body: createBodyFromSnapshot(entry, palette, `${seed || ''}:${i + 1}`) });
+    });
+  } catch (e) {
+    for (const { body } of restored) {
+      body.mesh.geometry.dispose();
+      disposeBodyMaterial(body.mesh.material);
+    }
+    throw e;
+  }
+
+  clearBodies();
+  if (snapshot.palette) {
+    activePalette = palette;
+    refreshPaletteEditor();
+  }
+  if (snapshot.physicsMode && snapshot.physicsMode !== world.mode) {
+    // Режим меняем до добавления фигур, чтобы сохранить их скорости как есть
+    setPhysicsMode(snapshot.physicsMode);
+  }
+  if (seed !== currentSeed) {
+    currentSeed = seed;
+    updateSeedLabel(currentSeed);
+    // Не создаём новую запись в истории браузера — только отражаем seed в адресе
+    writeSeedToUrl(currentSeed, true);
+    // Runs of another seed start their impulses from the first one again
+    playCount = 0;
+  }
+  const snapshotBounds =
+    isPoint(snapshot.worldBounds) && snapshot.worldBounds.x > 0 && snapshot.worldBounds.y > 0
+      ? snapshot.worldBounds
+      : null;
+
+  for (const { entry, body } of restored) {
+    addBodyEntry(body);
+    body.isMagnetAnchored = !!entry.isMagnetAnchored;
+
+    if (entry.parked) {
+      // Didn't fit when the snapshot was taken: parked again, the reflow below
+      // brings it back if there is room now
+      world.removeBody(body);
+      bodyById.delete(body.id);
+      parkedBodies.push({ body, u: entry.u, v: entry.v });
+      continue;
+    }
+    // Snapshots may come from another screen size. With their bounds known
+    // the whole scene is repacked below; otherwise just keep the shape inside.
+    if (!snapshotBounds) {
+      clampBodyToBounds(body, world.bounds);
+    }
+    sceneRef.add(body.mesh);
+  }
+
+  const bounds = { x: worldBoundsX, y: worldBoundsY };
+  if (snapshotBounds || parkedBodies.length) {
+    reflowBodies(snapshotBounds || bounds, bounds);
+  }
+  setPhysicsEnabled(!!snapshot.physicsEnabled);
+}
+
+// --- Keyboard focus and screen-reader announcements ---
+const SHAPE_NAMES = {
+  circle: 'circle',
+  tri: 'triangle',
+  halfcircle: 'half circle',
+  arc: 'arc',
+  star: 'star'
+};
+const POLYGON_NAMES = { 5: 'pentagon', 6: 'hexagon', 7: 'heptagon', 8: 'octagon' };
+
+// Writes a message into the polite live region from index.html.
+function announce(message) {
+  const region = document.getElementById('cassetteAnnouncer');
+  if (!region) return;
+  // Сбрасываем текст, чтобы одинаковое сообщение тоже было озвучено
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+function describeShape(body) {
+  if (body.shapeType === 'rect') {
+    return isSquareBody(body) ? 'square' : 'rectangle';
+  }
+  if (body.shapeType === 'ngon') {
+    const sides = body.localVerts.length;
+    return POLYGON_NAMES[sides] || `${sides}-sided polygon`;
+  }
+  return SHAPE_NAMES[body.shapeType] || body.shapeType;
+}
+
+// Rough color name from the hue/lightness, followed by the exact hex value.
+function describeHexColor(hex) {
+  const color = new THREE.Color(toOpaqueHex(hex));
+  const hsl = color.getHSL({});
+  let name;
+  if (hsl.s < 0.15) {
+    name = hsl.l < 0.2 ? 'black' : hsl.l > 0.85 ? 'white' : 'gray';
+  } else {
+    const hue = hsl.h * 360;
+    const hues = [
+      [15, 'red'], [45, 'orange'], [70, 'yellow'], [160, 'green'],
+      [200, 'cyan'], [255, 'blue'], [290, 'purple'], [335, 'pink'], [360, 'red']
+    ];
+    name = hues.find(([limit]) => hue < limit)[1];
+    if (hsl.l < 0.3) name = `dark ${name}`;
+    else if (hsl.l > 0.75) name = `light ${name}`;
+  }
+  return `${name} ${toOpaqueHex(hex)}`;
+}
+
+function describeColor(body) {
+  const preset = getBodyPreset(body);
+  if (!preset) return 'no color';
+  const colors = isRichPreset(preset) ? getPresetColors(preset).map(describeHexColor) : [];
+  const list = colors.length > 1 ? `${colors.slice(0, -1).join(', ')} and ${colors[colors.length - 1]}` : '';
+  switch (preset.kind) {
+    case 'gradient':
+      return preset.stops
+        ? `gradient through ${list}`
+        : `gradient from ${describeHexColor(preset.from)} to ${describeHexColor(preset.to)}`;
+    case 'conic':
+      return `conic gradient through ${list}`;
+    case 'noise':
+      return `grainy ${colors[0]}`;
+    case 'stripes':
+      return `stripes of ${list}`;
+    case 'dots':
+      return `${colors[0]} with ${colors[1]} dots`;
+    default:
+      return describeHexColor(preset.color);
+  }
+}
 
-    applyColorPresetToBody(a);
-    applyColorPresetToBody(b);
+function describeBody(body) {
+  const index = bodies.indexOf(body) + 1;
+  const degrees = Math.round(((body.mesh.rotation.z * 180) / Math.PI) % 360 + 360) % 360;
+  return (
+    `${describeShape(body)}, ${index} of ${bodies.length}, ${describeColor(body)}, ` +
+    `position ${body.mesh.position.x.toFixed(2)}, ${body.mesh.position.y.toFixed(2)}, ` +
+    `rotated ${degrees} degrees`
+  );
+}
+
+// Selects `body` (or clears the selection with null): outlines it on the
+// canvas and announces it unless `silent` is set.
+function setFocusedBody(body, { silent = false } = {}) {
+  if (focusedBody && focusedBody.focusOutline) {
+    const outline = focusedBody.focusOutline;
+    outline.parent && outline.parent.remove(outline);
+    outline.geometry.dispose();
+    outline.material.dispose();
+    delete focusedBody.focusOutline;
+  }
+  focusedBody = body;
+  if (!body) {
+    if (!silent) announce('No shape selected');
+    return;
+  }
+
+  const points = body.localVerts.map(v => new THREE.Vector3(v.x, v.y, 0.01));
+  const outline = new THREE.LineLoop(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineBasicMaterial({ color: 0xffffff })
+  );
+  body.focusOutline = outline;
+  body.mesh.add(outline);
+  if (!silent) announce(describeBody(body));
+}
+
+// Runs `fn` with the selection outline hidden (and the live canvas redrawn
+// without it), so exported images don't contain the keyboard focus ring.
+function withFocusOutlineHidden(fn) {
+  const outline = focusedBody && focusedBody.focusOutline;
+  if (!outline) return fn();
+  outline.visible = false;
+  try {
+    if (rendererRef) rendererRef.render(sceneRef, cameraRef);
+    return fn();
+  } finally {
+    outline.visible = true;
+  }
+}
+
+// --- Undo / redo ---
+// `historyCurrent` is the latest committed state; undo moves it onto the redo
+// stack and restores the previous one. Entries are scene snapshots plus the
+// color transfer toggle and rule, which aren't part of the exported file format.
+const HISTORY_LIMIT = 50;
+const historyPast = [];
+const historyFuture = [];
+let historyCurrent = null;
+// > 0 while the scene is being rebuilt or restored, so intermediate states
+// (e.g. the pause inside clearBodies) don't become history entries
+let historyMuted = 0;
+let undoButton = null;
+let redoButton = null;
+
+function withoutHistory(fn) {
+  historyMuted++;
+  try {
+    return fn();
+  } finally {
+    historyMuted--;
+  }
+}
+
+function captureHistoryEntry() {
+  return { scene: serializeScene(), colorTransferEnabled, colorTransferRule };
+}
+
+function recordHistory() {
+  if (historyMuted || !sceneRef) return;
+  if (historyCurrent) {
+    historyPast.push(historyCurrent);
+    if (historyPast.length > HISTORY_LIMIT) {
+      historyPast.shift();
+    }
+  }
+  historyCurrent = captureHistoryEntry();
+  historyFuture.length = 0;
+  updateHistoryButtons();
+}
+
+function applyHistoryEntry(entry) {
+  withoutHistory(() => {
+    restoreScene(entry.scene);
+    setColorTransferEnabled(entry.colorTransferEnabled);
+    setColorTransferRule(entry.colorTransferRule);
+  });
+  historyCurrent = entry;
+  updateHistoryButtons();
+}
+
+function undo() {
+  if (!historyPast.length || recordingSession) return;
+  historyFuture.push(historyCurrent);
+  applyHistoryEntry(historyPast.pop());
+}
+
+function redo() {
+  if (!historyFuture.length || recordingSession) return;
+  historyPast.push(historyCurrent);
+  applyHistoryEntry(historyFuture.pop());
+}
+
+function updateHistoryButtons() {
+  [[undoButton, historyPast], [redoButton, historyFuture]].forEach(([button, stack]) => {
+    if (!button) return;
+    button.disabled = stack.length === 0;
+    button.style.opacity = stack.length ? '1' : '0.4';
+    button.style.cursor = stack.length ? 'pointer' : 'default';
+  });
+}
+
+// Ctrl/Cmd+Z — undo, Ctrl/Cmd+Shift+Z or Ctrl+Y — redo
+function onHistoryKeyDown(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+  const target = event.target;
+  if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+    return;
+  }
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undo();
+  } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey)) {
+    event.preventDefault();
+    redo();
+  }
+}
+
+function createTimestampedFilename(extension) {
+  const filenameTimestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  return `thequot-es-${filenameTimestamp}.${extension}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+function exportSceneSnapshot() {
+  const json = JSON.stringify(serializeScene(), null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  downloadBlob(blob, createTimestampedFilename('json'));
+}
+
+function importSceneSnapshotFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      withoutHistory(() => restoreScene(JSON.parse(reader.result)));
+      recordHistory();
+    } catch (e) {
+      const reason = e instanceof SyntaxError ? 'the file is not valid JSON' : e.message;
+      reportFailure(`Could not import the scene: ${reason}`, e);
+    }
+  };
+  reader.onerror = () => {
+    reportFailure('Could not read the scene file', reader.error);
+  };
+  reader.readAsText(file);
+}
+
+// --- Color transfer rules ---
+// What happens to two bodies' colors when they collide. Rules only change
+// colorIndex / colorPreset; applyColorPresetToBody then redraws both bodies,
+// so triangles get their corner gradient whichever rule is active.
+
+// Main color of a preset: the solid color, or the first color of a gradient or pattern.
+function getPresetBaseColor(preset) {
+  return getPresetColors(preset)[0];
+}
+
+const COLOR_TRANSFER_RULES = {
+  swap: {
+    label: 'Swap',
+    // Фигуры ОБМЕНИВАЮТСЯ цветами, так что набор цветов в композиции остаётся тем же.
+    apply(a, b) {
+      [a.colorIndex, b.colorIndex] = [b.colorIndex, a.colorIndex];
+      [a.colorPreset, b.colorPreset] = [b.colorPreset, a.colorPreset];
+    }
+  },
+  spread: {
+    label: 'Spread',
+    // Более тяжёлая фигура (при равенстве — более быстрая) перекрашивает другую.
+    apply(a, b) {
+      const momentum = body => body.mass * Math.hypot(body.velocity.x, body.velocity.y);
+      const aWins = a.mass !== b.mass ? a.mass > b.mass : momentum(a) >= momentum(b);
+      const [winner, loser] = aWins ? [a, b] : [b, a];
+      loser.colorIndex = winner.colorIndex;
+      loser.colorPreset = winner.colorPreset;
+    }
+  },
+  blend: {
+    label: 'Blend',
+    // Each body becomes a gradient from its own color into the other's.
+    apply(a, b) {
+      const colorA = getPresetBaseColor(getBodyPreset(a));
+      const colorB = getPresetBaseColor(getBodyPreset(b));
+      if (colorA === colorB) return;
+      a.colorPreset = { kind: 'gradient', from: colorA, to: colorB };
+      b.colorPreset = { kind: 'gradient', from: colorB, to: colorA };
+    }
+  },
+  cycle: {
+    label: 'Cycle',
+    // Both bodies step to the next palette color.
+    apply(a, b) {
+      for (const body of [a, b]) {
+        body.colorIndex = (body.colorIndex + 1) % activePalette.length;
+        delete body.colorPreset;
+      }
+    }
+  }
+};
+
+function transferColorOnCollision(a, b) {
+  if (a.colorIndex === undefined || b.colorIndex === undefined) return;
+  if (!getBodyPreset(a) || !getBodyPreset(b)) return;
+  const rule = COLOR_TRANSFER_RULES[colorTransferRule] || COLOR_TRANSFER_RULES.swap;
+  rule.apply(a, b);
+
+  applyColorPresetToBody(a);
+  applyColorPresetToBody(b);
+}
+
+function setColorTransferRule(rule) {
+  if (!COLOR_TRANSFER_RULES[rule]) return;
+  colorTransferRule = rule;
+  if (colorTransferRuleSelect) {
+    colorTransferRuleSelect.value = rule;
   }
+}
+
+  function createScene(seed) {
+  // Передаём цвет от одной фигуры другой при столкновении (если включено)
+  world.onCollision = (a, b) => {
+    if (colorTransferEnabled) {
+      transferColorOnCollision(a, b);
+    }
+  };
+
   const canvas = document.getElementById('app');
   // Disable text selection and touch callouts on the canvas (mobile Safari etc.)
   if (canvas && canvas.style) {
@@ -1121,8 +2443,12 @@ function applyColorPresetToBody(body) {
   const pointer = new THREE.Vector2();
   const dragPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
   const dragIntersect = new THREE.Vector3();
-  let draggedBody = null;
-  let lastDragPos = null;
+  // Every held shape has a grip with one or two pointers on it: one pointer
+  // drags, two pointers move, rotate and pinch-scale it. Different shapes can
+  // be held by different fingers at the same time.
+  const grips = new Map(); // body → grip
+  const pointerGrips = new Map(); // pointerId → grip
+  const MIN_GRIP_RADIUS = 0.08;
 
   function screenToNdc(clientX, clientY) {
     const rect = canvas.getBoundingClientRect();
@@ -1144,17 +2470,11 @@ function applyColorPresetToBody(body) {
   }
 
   function clampBodyToWorld(body) {
-    const r = body.boundingRadius || 0;
-    body.mesh.position.x = Math.max(
-      -worldBoundsX + r,
-      Math.min(worldBoundsX - r, body.mesh.position.x)
-    );
-    body.mesh.position.y = Math.max(
-      -worldBoundsY + r,
-      Math.min(worldBoundsY - r, body.mesh.position.y)
-    );
+    clampBodyToBounds(body, world.bounds);
   }
   const rng = createRng(seed);
+  currentSeed = seed;
+  updateSeedLabel(seed);
 
   const renderer = new THREE.WebGLRenderer({
     canvas,
@@ -1178,6 +2498,8 @@ function applyColorPresetToBody(body) {
   );
   camera.position.set(0, 0, 7);
   camera.lookAt(0, 0, 0);
+  rendererRef = renderer;
+  cameraRef = camera;
 
   function updateWorldBounds() {
     // вычисляем видимую область в мировых координатах и даём немного отступа
@@ -1186,6 +2508,7 @@ function applyColorPresetToBody(body) {
     const halfWidth = halfHeight * camera.aspect;
     worldBoundsX = halfWidth * 1.0;
     worldBoundsY = halfHeight * 1.0;
+    world.setBounds(worldBoundsX, worldBoundsY);
   }
 
   // Lights
@@ -1214,7 +2537,8 @@ function applyColorPresetToBody(body) {
     for (let i = 0; i < event.changedTouches.length; i++) {
       const touch = event.changedTouches[i];
       const pick = pickBodyAt(touch.clientX, touch.clientY);
-      if (pick) {
+      // Пока фигуру держат, второй палец где угодно тоже управляет ею — не скроллим страницу
+      if (pick || grips.size) {
         shapeTouchIds.add(touch.identifier);
         shouldPrevent = true;
       }
@@ -1300,32 +2624,68 @@ function applyColorPresetToBody(body) {
   canvas.addEventListener('touchend', onTouchEnd, { passive: false });
   canvas.addEventListener('touchcancel', onTouchEnd, { passive: false });
 
-  function onPointerDown(event) {
-    const pick = pickBodyAt(event.clientX, event.clientY);
-    if (!pick) return;
+  function pointerToWorld(clientX, clientY) {
+    screenToNdc(clientX, clientY);
+    raycaster.setFromCamera(pointer, camera);
+    if (!raycaster.ray.intersectPlane(dragPlane, dragIntersect)) return null;
+    return dragIntersect.clone();
+  }
 
-    event.preventDefault();
+  // Re-anchors the grip to the current pointers, e.g. when a finger is added
+  // or lifted, so the shape doesn't jump.
+  function resetGripAnchor(grip) {
+    const body = grip.body;
+    const points = Array.from(grip.pointers.values());
+    grip.lastPos = body.mesh.position.clone();
+    if (points.length >= 2) {
+      const [a, b] = points;
+      grip.offset = null;
+      grip.pinch = {
+        startMid: a.clone().add(b).multiplyScalar(0.5),
+        startAngle: Math.atan2(b.y - a.y, b.x - a.x),
+        startDist: Math.max(1e-3, a.distanceTo(b)),
+        startPos: body.mesh.position.clone(),
+        startRotation: body.mesh.rotation.z,
+        startRadius: body.boundingRadius
+      };
+    } else if (points.length === 1) {
+      grip.pinch = null;
+      grip.offset = points[0].clone().sub(body.mesh.position);
+    }
+  }
+
+  function onPointerDown(event) {
+    // Пока идёт запись, перетаскивание сломало бы детерминированность ролика
+    if (recordingSession) return;
+    const point = pointerToWorld(event.clientX, event.clientY);
+    if (!point) return;
 
-    draggedBody = pick.body;
-    draggedBody.isDragged = true;
-    if (draggedBody.velocity) {
-      draggedBody.velocity.set(0, 0);
+    const pick = pickBodyAt(event.clientX, event.clientY);
+    let grip = pick ? grips.get(pick.body) : null;
+    if (!pick) {
+      // Второй палец мимо фигуры: если держат ровно одну фигуру одним пальцем,
+      // он становится вторым пальцем жеста (маленькие фигуры трудно зажать двумя)
+      const [only] = grips.values();
+      if (grips.size !== 1 || only.pointers.size !== 1) return;
+      grip = only;
     }
-    draggedBody.angularVelocity = 0;
+    if (grip && grip.pointers.size >= 2) return;
 
-    // Настраиваем плоскость перетаскивания (z=0 смотрит к камере)
-    dragPlane.setFromNormalAndCoplanarPoint(
-      new THREE.Vector3(0, 0, 1),
-      new THREE.Vector3(0, 0, 0)
-    );
+    event.preventDefault();
 
-    screenToNdc(event.clientX, event.clientY);
-    raycaster.setFromCamera(pointer, camera);
-    if (raycaster.ray.intersectPlane(dragPlane, dragIntersect)) {
-      lastDragPos = dragIntersect.clone();
-      const offset = dragIntersect.clone().sub(draggedBody.mesh.position);
-      draggedBody._dragOffset = offset;
+    if (!grip) {
+      const body = pick.body;
+      grip = { body, pointers: new Map(), offset: null, pinch: null, lastPos: null };
+      grips.set(body, grip);
+      body.isDragged = true;
+      if (body.velocity) {
+        body.velocity.set(0, 0);
+      }
+      body.angularVelocity = 0;
     }
+    grip.pointers.set(event.pointerId, point);
+    pointerGrips.set(event.pointerId, grip);
+    resetGripAnchor(grip);
 
     try {
       canvas.setPointerCapture(event.pointerId);
@@ -1334,21 +2694,58 @@ function applyColorPresetToBody(body) {
     }
   }
 
+  // Attract mode follows the last pointer position over the canvas
+  function trackAttractor(event) {
+    if (world.mode !== 'attract') return;
+    const point = pointerToWorld(event.clientX, event.clientY);
+    if (point) {
+      world.attractor = { x: point.x, y: point.y };
+    }
+  }
+
+  function clearAttractor(event) {
+    // Touch pointers disappear on release; a mouse only when it leaves the canvas
+    if (event.type === 'pointerleave' || event.pointerType !== 'mouse') {
+      world.attractor = null;
+    }
+  }
+
   function onPointerMove(event) {
-    if (!draggedBody) return;
+    trackAttractor(event);
+    const grip = pointerGrips.get(event.pointerId);
+    if (!grip) return;
     event.preventDefault();
 
-    screenToNdc(event.clientX, event.clientY);
-    raycaster.setFromCamera(pointer, camera);
-    if (!raycaster.ray.intersectPlane(dragPlane, dragIntersect)) return;
-
-    const offset = draggedBody._dragOffset || new THREE.Vector3();
-    const newPos = dragIntersect.clone().sub(offset);
+    const point = pointerToWorld(event.clientX, event.clientY);
+    if (!point) return;
+    grip.pointers.set(event.pointerId, point);
+
+    const body = grip.body;
+    let newPos;
+    if (grip.pinch) {
+      const [a, b] = Array.from(grip.pointers.values());
+      const pinch = grip.pinch;
+      const mid = a.clone().add(b).multiplyScalar(0.5);
+      newPos = pinch.startPos.clone().add(mid.sub(pinch.startMid));
+      body.mesh.rotation.z =
+        pinch.startRotation + Math.atan2(b.y - a.y, b.x - a.x) - pinch.startAngle;
+
+      const maxRadius = 0.9 * Math.min(worldBoundsX, worldBoundsY);
+      const targetRadius = Math.min(
+        maxRadius,
+        Math.max(MIN_GRIP_RADIUS, (pinch.startRadius * a.distanceTo(b)) / pinch.startDist)
+      );
+      if (Math.abs(targetRadius - body.boundingRadius) > 1e-4) {
+        scaleBody(body, targetRadius / body.boundingRadius);
+      }
+    } else {
+      newPos = point.clone().sub(grip.offset || new THREE.Vector3());
+    }
 
-    if (lastDragPos && draggedBody.velocity) {
+    if (grip.lastPos && body.velocity) {
       // Оценка скорости движения пальца, но с заметно меньшим "ударом", чем у естественных столкновений
-      const dx = newPos.x - lastDragPos.x;
-      const dy = newPos.y - lastDragPos.y;
+      const dx = newPos.x - grip.lastPos.x;
+      const dy = newPos.y - grip.lastPos.y;
       const dragScale = 2; // существенно меньше, чем было (60), даёт более мягкий импульс
       let vx = dx * dragScale;
       let vy = dy * dragScale;
@@ -1362,213 +2759,183 @@ function applyColorPresetToBody(body) {
         vy *= k;
       }
 
-      draggedBody.velocity.set(vx, vy);
+      body.velocity.set(vx, vy);
     }
 
-    draggedBody.mesh.position.copy(newPos);
-    clampBodyToWorld(draggedBody);
-    lastDragPos = newPos.clone();
+    body.mesh.position.copy(newPos);
+    clampBodyToWorld(body);
+    grip.lastPos = body.mesh.position.clone();
   }
 
   function endDrag(event) {
-    if (!draggedBody) return;
-    event && event.preventDefault();
-    draggedBody.isDragged = false;
-    delete draggedBody._dragOffset;
-    draggedBody = null;
-    lastDragPos = null;
+    const grip = pointerGrips.get(event.pointerId);
+    if (!grip) return;
+    event.preventDefault();
+    pointerGrips.delete(event.pointerId);
+    grip.pointers.delete(event.pointerId);
+
+    if (grip.pointers.size) {
+      // Остался один палец — продолжаем обычное перетаскивание
+      resetGripAnchor(grip);
+      return;
+    }
+
+    grip.body.isDragged = false;
+    grips.delete(grip.body);
+    recordHistory();
+    // In force-field modes a released shape should fall / fly on its own
+    if (world.mode !== 'drift') {
+      setPhysicsEnabled(true);
+    }
   }
 
   canvas.addEventListener('pointerdown', onPointerDown, { passive: false });
   canvas.addEventListener('pointermove', onPointerMove, { passive: false });
   canvas.addEventListener('pointerup', endDrag, { passive: false });
   canvas.addEventListener('pointercancel', endDrag, { passive: false });
+  canvas.addEventListener('pointerdown', trackAttractor);
+  canvas.addEventListener('pointerup', clearAttractor);
+  canvas.addEventListener('pointercancel', clearAttractor);
+  canvas.addEventListener('pointerleave', clearAttractor);
+
+  // --- Keyboard interaction ---
+  // Tab / Shift+Tab cycle through the shapes (and leave the canvas after the
+  // last one), arrows move the selected shape, Q / E rotate it, Escape clears.
+  const KEYBOARD_NUDGE = 0.05;
+  const KEYBOARD_ROTATE = Math.PI / 36; // 5°
+  let keyboardMoved = false;
+
+  function onCanvasKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    if (event.key === 'Tab') {
+      if (!bodies.length) return;
+      const current = focusedBody ? bodies.indexOf(focusedBody) : -1;
+      let next;
+      if (event.shiftKey) {
+        next = current === -1 ? bodies.length - 1 : current - 1;
+      } else {
+        next = current + 1;
+      }
+      if (next < 0 || next >= bodies.length) {
+        // Дальше фигур нет — отпускаем фокус к соседним элементам страницы
+        setFocusedBody(null, { silent: true });
+        return;
+      }
+      event.preventDefault();
+      setFocusedBody(bodies[next]);
+      return;
+    }
 
-  // Simple animation
-  function onResize() {
-    const w = window.innerWidth;
-    const h = window.innerHeight;
-    renderer.setSize(w, h);
-    camera.aspect = w / h;
-    camera.updateProjectionMatrix();
-    updateWorldBounds();
-  }
-  window.addEventListener('resize', onResize);
-
-  let lastTime = null;
-  let accumulator = 0;
-
-  // (Deleted duplicate polygon helpers)
-
-  function updatePhysics(dt) {
-    const globalSpeedFactor = 1;
-    if (!physicsEnabled) {
+    if (event.key === 'Escape') {
+      if (focusedBody) {
+        event.preventDefault();
+        setFocusedBody(null);
+      }
       return;
     }
 
-
-    // Move bodies
-    for (const body of bodies) {
-      if (body.isDragged) {
-        // Положение задаётся пальцем, только слегка гасим скорость
-        if (body.velocity) {
-          body.velocity.multiplyScalar(0.9);
-        }
-        continue;
-      }
-      // Integrate rotation
-      if (body.angularVelocity) {
-        body.mesh.rotation.z += body.angularVelocity * dt * globalSpeedFactor;
-        const angDrag =
-          BASE_ANGULAR_DAMPING * Math.exp(-FLUID_ANGULAR_VISCOSITY * dt);
-        body.angularVelocity *= angDrag;
-      }
-
-      const linearDrag =
-        BASE_LINEAR_DAMPING * Math.exp(-FLUID_LINEAR_VISCOSITY * dt);
-      body.velocity.multiplyScalar(linearDrag);
-
-      // Обновляем позицию и отскоки от стен
-      body.mesh.position.x += body.velocity.x * dt * globalSpeedFactor;
-      body.mesh.position.y += body.velocity.y * dt * globalSpeedFactor;
-
-      // Wall collisions (по круговому баундингу и текущим мировым границам)
-      const r = body.boundingRadius;
-      const bx = worldBoundsX;
-      const by = worldBoundsY;
-
-      if (body.mesh.position.x - r < -bx) {
-        body.mesh.position.x = -bx + r;
-        body.velocity.x *= -1;
-      } else if (body.mesh.position.x + r > bx) {
-        body.mesh.position.x = bx - r;
-        body.velocity.x *= -1;
-      }
-
-      if (body.mesh.position.y - r < -by) {
-        body.mesh.position.y = -by + r;
-        body.velocity.y *= -1;
-      } else if (body.mesh.position.y + r > by) {
-        body.mesh.position.y = by - r;
-        body.velocity.y *= -1;
-      }
+    if (!focusedBody || recordingSession) return;
+    const step = event.shiftKey ? 4 : 1;
+    let dx = 0;
+    let dy = 0;
+    let dRotation = 0;
+    switch (event.key) {
+      case 'ArrowLeft': dx = -KEYBOARD_NUDGE * step; break;
+      case 'ArrowRight': dx = KEYBOARD_NUDGE * step; break;
+      case 'ArrowUp': dy = KEYBOARD_NUDGE * step; break;
+      case 'ArrowDown': dy = -KEYBOARD_NUDGE * step; break;
+      case 'q': case 'Q': dRotation = KEYBOARD_ROTATE * step; break;
+      case 'e': case 'E': dRotation = -KEYBOARD_ROTATE * step; break;
+      default: return;
     }
+    event.preventDefault();
 
-    // Body–body collisions (SAT for выпуклые многоугольники, equal mass)
-    for (let i = 0; i < bodies.length; i++) {
-      for (let j = i + 1; j < bodies.length; j++) {
-        const a = bodies[i];
-        const b = bodies[j];
-
-
-        const vertsA = getWorldVertices(a);
-        const vertsB = getWorldVertices(b);
-        const result = polygonPolygonSAT(vertsA, vertsB);
-
-        if (!result) continue;
-
-        let { normal, depth } = result;
+    const body = focusedBody;
+    body.mesh.position.x += dx;
+    body.mesh.position.y += dy;
+    body.mesh.rotation.z += dRotation;
+    if (body.velocity) body.velocity.set(0, 0);
+    body.angularVelocity = 0;
+    clampBodyToWorld(body);
+    keyboardMoved = true;
+  }
 
-        // Убедимся, что нормаль направлена от A к B
-        const cxA = a.mesh.position.x;
-        const cyA = a.mesh.position.y;
-        const cxB = b.mesh.position.x;
-        const cyB = b.mesh.position.y;
-        const centerDirX = cxB - cxA;
-        const centerDirY = cyB - cyA;
-        if (centerDirX * normal.x + centerDirY * normal.y < 0) {
-          normal.x *= -1;
-          normal.y *= -1;
-        }
+  function onCanvasKeyUp(event) {
+    if (!keyboardMoved || !focusedBody) return;
+    if (!/^(Arrow(Left|Right|Up|Down)|q|Q|e|E|Shift)$/.test(event.key)) return;
+    keyboardMoved = false;
+    // Итог перемещения озвучиваем и сохраняем в истории один раз, после отпускания клавиши
+    announce(describeBody(focusedBody));
+    recordHistory();
+    if (world.mode !== 'drift') {
+      setPhysicsEnabled(true);
+    }
+  }
 
-        // Раздвигаем тела с учётом массы: лёгкие смещаются сильнее, тяжёлые — меньше
-        const invMassA = a.isDragged ? 0 : a.invMass;
-        const invMassB = b.isDragged ? 0 : b.invMass;
-        const invMassSum = invMassA + invMassB;
-        if (invMassSum === 0) {
-          continue;
-        }
-        const correctionA = depth * (invMassA / invMassSum);
-        const correctionB = depth * (invMassB / invMassSum);
-        a.mesh.position.x -= normal.x * correctionA;
-        a.mesh.position.y -= normal.y * correctionA;
-        b.mesh.position.x += normal.x * correctionB;
-        b.mesh.position.y += normal.y * correctionB;
-
-        // Отражаем скорости по нормали (упругое столкновение)
-        const rvx = b.velocity.x - a.velocity.x;
-        const rvy = b.velocity.y - a.velocity.y;
-        const velAlongNormal = rvx * normal.x + rvy * normal.y;
-
-        if (velAlongNormal < 0) {
-          const restitution = 1.0;
-          const invMassA2 = a.isDragged ? 0 : a.invMass;
-          const invMassB2 = b.isDragged ? 0 : b.invMass;
-          const invMassSum2 = invMassA2 + invMassB2;
-          if (invMassSum2 === 0) {
-            continue;
-          }
+  canvas.tabIndex = 0;
+  canvas.setAttribute('role', 'application');
+  canvas.setAttribute('aria-roledescription', 'composition');
+  canvas.setAttribute(
+    'aria-label',
+    'Composition. Tab to select shapes, arrow keys to move, Q and E to rotate, Escape to deselect.'
+  );
+  canvas.addEventListener('keydown', onCanvasKeyDown);
+  canvas.addEventListener('keyup', onCanvasKeyUp);
+  canvas.addEventListener('blur', () => {
+    setFocusedBody(null, { silent: true });
+  });
 
-          const jImpulse = -(1 + restitution) * velAlongNormal / invMassSum2;
+  // Bounds the bodies were laid out for; a burst of resize events (rotation,
+  // dragging a window edge) ends in a single reflow from these.
+  let boundsBeforeResize = null;
+  let reflowTimer = null;
 
-          const impulseX = jImpulse * normal.x;
-          const impulseY = jImpulse * normal.y;
+  // Simple animation
+  function onResize() {
+    const w = window.innerWidth;
+    const h = window.innerHeight;
+    if (!boundsBeforeResize) {
+      boundsBeforeResize = { x: worldBoundsX, y: worldBoundsY };
+    }
+    renderer.setSize(w, h);
+    camera.aspect = w / h;
+    camera.updateProjectionMatrix();
+    updateWorldBounds();
 
-          a.velocity.x -= impulseX * invMassA2;
-          a.velocity.y -= impulseY * invMassA2;
-          b.velocity.x += impulseX * invMassB2;
-          b.velocity.y += impulseY * invMassB2;
+    clearTimeout(reflowTimer);
+    reflowTimer = setTimeout(() => {
+      const from = boundsBeforeResize;
+      boundsBeforeResize = null;
+      reflowBodies(from, { x: worldBoundsX, y: worldBoundsY });
+    }, REFLOW_DELAY);
+  }
+  window.addEventListener('resize', onResize);
 
-          // Добавляем вращение при столкновении (всегда одинаково)
-          const velTangent = rvx * -normal.y + rvy * normal.x;
-          const baseSpinFactor = 0.18;
-          const spinFactorA = baseSpinFactor * (a.speedScale || 1);
-          const spinFactorB = baseSpinFactor * (b.speedScale || 1);
-          const maxAngVel = 4.0;
+  let lastTime = null;
+  let accumulator = 0;
 
-          if (a.shapeType === 'rect' || a.shapeType === 'tri' || a.shapeType === 'circle') {
-            a.angularVelocity -= velTangent * spinFactorA;
-            if (a.angularVelocity > maxAngVel) a.angularVelocity = maxAngVel;
-            if (a.angularVelocity < -maxAngVel) a.angularVelocity = -maxAngVel;
-          }
-          if (b.shapeType === 'rect' || b.shapeType === 'tri' || b.shapeType === 'circle') {
-            b.angularVelocity += velTangent * spinFactorB;
-            if (b.angularVelocity > maxAngVel) b.angularVelocity = maxAngVel;
-            if (b.angularVelocity < -maxAngVel) b.angularVelocity = -maxAngVel;
-          }
-          // Передаём цвет от одной фигуры другой при столкновении (если включено)
-          if (colorTransferEnabled) {
-            transferColorOnCollision(a, b);
-          }
-        }
-      }
+  function updatePhysics(dt) {
+    if (!physicsEnabled) {
+      return;
     }
 
-    // После интеграции и столкновений проверяем, движется ли ещё что‑нибудь.
-    let anyMoving = false;
-    const linearEps = 0.02;
-    const angularEps = 0.4;
-
-    for (const body of bodies) {
-      if (body.isDragged) {
-        anyMoving = true;
-        break;
-      }
-      const speed = Math.hypot(body.velocity.x, body.velocity.y);
-      const angSpeed = Math.abs(body.angularVelocity || 0);
-      if (speed > linearEps || angSpeed > angularEps) {
-        anyMoving = true;
-        break;
-      }
-    }
+    world.step(dt);
 
     // Если все фигуры остановились — автоматически ставим "паузу"
-    if (!anyMoving) {
+    if (world.isAtRest()) {
       setPhysicsEnabled(false);
     }
   }
 
   function animate(time) {
+    if (recordingSession) {
+      // The recorder steps and renders frames itself
+      lastTime = null;
+      accumulator = 0;
+      requestAnimationFrame(animate);
+      return;
+    }
     if (lastTime === null) {
       lastTime = time;
     }
@@ -1578,13 +2945,13 @@ function applyColorPresetToBody(body) {
     // Clamp dt to avoid huge jumps (e.g. tab switched)
     dt = Math.min(dt, 0.05);
 
-    // Fixed small physics step to reduce tunneling at high speeds
-    const fixedStep = 0.01;
+    // Fixed small physics step keeps the simulation frame-rate independent;
+    // tunneling at high speeds is handled by the swept collisions in physics.js
     accumulator += dt;
 
-    while (accumulator >= fixedStep) {
-      updatePhysics(fixedStep);
-      accumulator -= fixedStep;
+    while (accumulator >= PHYSICS_STEP) {
+      updatePhysics(PHYSICS_STEP);
+      accumulator -= PHYSICS_STEP;
     }
 
     renderer.render(scene, camera);
@@ -1595,31 +2962,104 @@ function applyColorPresetToBody(body) {
 }
 
 // Helper to save the current canvas as an image
-function saveCurrentCanvas() {
+const DEFAULT_EXPORT_BORDER_SIZE = 100;
+
+// Renders the scene off-screen at `width` device pixels (the height follows the
+// on-screen aspect ratio) and returns a 2D canvas with the image.
+// Returns null if WebGL can't provide a buffer that large.
+function renderSceneOffscreen(width) {
+  if (!sceneRef || !cameraRef) return null;
+
+  const glCanvas = document.createElement('canvas');
+  const offscreen = new THREE.WebGLRenderer({
+    canvas: glCanvas,
+    antialias: true,
+    preserveDrawingBuffer: true
+  });
+
+  try {
+    const gl = offscreen.getContext();
+    const maxSize = Math.min(
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      gl.getParameter(gl.MAX_VIEWPORT_DIMS)[0]
+    );
+    let targetWidth = Math.round(width);
+    let targetHeight = Math.round(targetWidth / cameraRef.aspect);
+    const largestSide = Math.max(targetWidth, targetHeight);
+    if (largestSide > maxSize) {
+      console.warn(`Export size ${targetWidth}×${targetHeight} exceeds this GPU's limit (${maxSize}px), scaling down`);
+      const k = maxSize / largestSide;
+      targetWidth = Math.floor(targetWidth * k);
+      targetHeight = Math.floor(targetHeight * k);
+    }
+
+    offscreen.setPixelRatio(1);
+    offscreen.setSize(targetWidth, targetHeight, false);
+    offscreen.setClearColor(CANVAS_BACKGROUND_COLOR, 1);
+    offscreen.render(sceneRef, cameraRef);
+
+    // Копируем результат в 2D-канвас до того, как освободим WebGL-контекст
+    const copy = document.createElement('canvas');
+    copy.width = targetWidth;
+    copy.height = targetHeight;
+    const ctx = copy.getContext('2d');
+    if (!ctx) return null;
+    ctx.drawImage(glCanvas, 0, 0);
+    return copy;
+  } catch (e) {
+    console.error('Off-screen render failed:', e);
+    return null;
+  } finally {
+    offscreen.dispose();
+    offscreen.forceContextLoss();
+  }
+}
+
+// Builds the framed export image.
+// options.width       — image width without the border, px (default: on-screen canvas size)
+// options.borderSize  — border around the image, px (default 100)
+// options.borderColor — border color (default: canvas background)
+function createExportCanvas(options = {}) {
   const sourceCanvas = document.getElementById('app');
   if (!sourceCanvas) {
     console.warn('Canvas element #app not found');
-    return;
+    return null;
+  }
+
+  const borderSize = Math.max(0, options.borderSize ?? DEFAULT_EXPORT_BORDER_SIZE);
+  const borderColor = options.borderColor || CANVAS_BACKGROUND_COLOR;
+
+  // Текущий размер экрана — просто копируем канвас, иначе рендерим заново.
+  let image = sourceCanvas;
+  if (options.width && Math.round(options.width) !== sourceCanvas.width) {
+    image = renderSceneOffscreen(options.width);
+    if (!image) return null;
   }
 
   // Создаём отдельный канвас, чтобы добавить однородную рамку нужного цвета.
-  const borderSize = 100;
   const exportCanvas = document.createElement('canvas');
-  exportCanvas.width = sourceCanvas.width + borderSize * 2;
-  exportCanvas.height = sourceCanvas.height + borderSize * 2;
+  exportCanvas.width = image.width + borderSize * 2;
+  exportCanvas.height = image.height + borderSize * 2;
   const exportCtx = exportCanvas.getContext('2d');
 
   if (!exportCtx) {
     console.warn('Unable to obtain 2D context for export canvas');
-    return;
+    return null;
   }
 
-  exportCtx.fillStyle = CANVAS_BACKGROUND_COLOR;
+  exportCtx.fillStyle = borderColor;
   exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
-  exportCtx.drawImage(sourceCanvas, borderSize, borderSize);
+  exportCtx.drawImage(image, borderSize, borderSize);
+  return exportCanvas;
+}
 
-  const filenameTimestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
-  const filename = `thequot-es-${filenameTimestamp}.png`;
+function saveCurrentCanvas(options = {}) {
+  const exportCanvas = withFocusOutlineHidden(() => createExportCanvas(options));
+  if (!exportCanvas) {
+    return;
+  }
+
+  const filename = createTimestampedFilename('png');
 
   // Простое определение iOS (iPhone / iPad / iPod)
   const ua = navigator.userAgent || navigator.vendor || window.opera;
@@ -1674,6 +3114,381 @@ function saveCurrentCanvas() {
   }
 }
 
+// --- SVG export ---
+function formatSvgNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function escapeSvgAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Emits the actual geometry of every body (outline from localVerts, circles as
+// <circle>) with its preset as a solid fill or a <linearGradient>, laid out like
+// the on-screen canvas: `width` px wide plus the border.
+function buildSceneSvg(options = {}) {
+  const sourceCanvas = document.getElementById('app');
+  const width = Math.round(options.width || (sourceCanvas ? sourceCanvas.width : 1920));
+  const borderSize = Math.max(0, options.borderSize ?? DEFAULT_EXPORT_BORDER_SIZE);
+  const borderColor = options.borderColor || CANVAS_BACKGROUND_COLOR;
+
+  const scale = width / (2 * worldBoundsX);
+  const height = Math.round(2 * worldBoundsY * scale);
+  const toPx = p => ({
+    x: borderSize + (p.x + worldBoundsX) * scale,
+    y: borderSize + (worldBoundsY - p.y) * scale
+  });
+
+  const defs = [];
+  const shapes = [];
+
+  bodies.forEach((body, i) => {
+    const preset = getBodyPreset(body);
+    const pos = body.mesh.position;
+    const rot = body.mesh.rotation.z;
+    let fill;
+
+    if (body.shapeType === 'tri' && preset) {
+      // Цвет треугольника — аффинная функция от позиции (vertex colors),
+      // поэтому линейный градиент вдоль её направления передаёт его точно.
+      const { from, to } = getTriangleGradientColors(preset);
+      const w = transformVerts(body.localVerts, pos.x, pos.y, rot).map(toPx);
+      // t(v0) = 0, t(v1) = 0.5, t(v2) = 1
+      const e1x = w[1].x - w[0].x;
+      const e1y = w[1].y - w[0].y;
+      const e2x = w[2].x - w[0].x;
+      const e2y = w[2].y - w[0].y;
+      const det = e1x * e2y - e1y * e2x;
+      if (det !== 0) {
+        const gx = (0.5 * e2y - e1y) / det;
+        const gy = (e1x - 0.5 * e2x) / det;
+        const g2 = gx * gx + gy * gy;
+        const id = `g${i}`;
+        defs.push(
+          `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" ` +
+            `x1="${formatSvgNumber(w[0].x)}" y1="${formatSvgNumber(w[0].y)}" ` +
+            `x2="${formatSvgNumber(w[0].x + gx / g2)}" y2="${formatSvgNumber(w[0].y + gy / g2)}">` +
+            `<stop offset="0" stop-color="${escapeSvgAttr(from)}"/>` +
+            `<stop offset="1" stop-color="${escapeSvgAttr(to)}"/></linearGradient>`
+        );
+        fill = `url(#${id})`;
+      } else {
+        fill = from;
+      }
+    } else if (isRichPreset(preset)) {
+      const id = `g${i}`;
+      const { minX, maxX, minY, maxY } = getLocalBounds(body.localVerts);
+      if (preset.kind === 'gradient') {
+        // Многоточечный градиент под углом остаётся векторным: та же линия,
+        // что и в текстуре, только в локальных координатах фигуры
+        const rad = ((preset.angle || 0) * Math.PI) / 180;
+        const half = (Math.abs((maxX - minX) * Math.cos(rad)) + Math.abs((maxY - minY) * Math.sin(rad))) / 2;
+        const cx = (minX + maxX) / 2;
+        const cy = (minY + maxY) / 2;
+        const [p1, p2] = transformVerts(
+          [
+            { x: cx - Math.cos(rad) * half, y: cy - Math.sin(rad) * half },
+            { x: cx + Math.cos(rad) * half, y: cy + Math.sin(rad) * half }
+          ],
+          pos.x,
+          pos.y,
+          rot
+        ).map(toPx);
+        const stops = getPresetStops(preset)
+          .map(stop => `<stop offset="${formatSvgNumber(stop.offset)}" stop-color="${escapeSvgAttr(stop.color)}"/>`)
+          .join('');
+        defs.push(
+          `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" ` +
+            `x1="${formatSvgNumber(p1.x)}" y1="${formatSvgNumber(p1.y)}" ` +
+            `x2="${formatSvgNumber(p2.x)}" y2="${formatSvgNumber(p2.y)}">${stops}</linearGradient>`
+        );
+      } else {
+        // Conic, grain, stripes and dots have no exact SVG counterpart: the same
+        // texture the mesh uses is embedded as an image, laid over the shape's
+        // bounding box (top-left at local minX, maxY) and rotated with it.
+        const w = (maxX - minX) * scale;
+        const h = (maxY - minY) * scale;
+        const c = toPx(pos);
+        const cos = Math.cos(rot);
+        const sin = Math.sin(rot);
+        const e = c.x + scale * (cos * minX - sin * maxY);
+        const f = c.y - scale * (sin * minX + cos * maxY);
+        const image = createPresetCanvas(preset, {
+          seed: getBodyFillSeed(body),
+          aspect: (maxX - minX) / (maxY - minY)
+        }).toDataURL('image/png');
+        defs.push(
+          `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${formatSvgNumber(w)}" height="${formatSvgNumber(h)}" ` +
+            `patternTransform="matrix(${[cos, -sin, sin, cos].map(v => Number(v.toFixed(5))).join(' ')} ` +
+            `${formatSvgNumber(e)} ${formatSvgNumber(f)})">` +
+            `<image href="${image}" width="${formatSvgNumber(w)}" height="${formatSvgNumber(h)}" preserveAspectRatio="none"/>` +
+            '</pattern>'
+        );
+      }
+      fill = `url(#${id})`;
+    } else if (preset && preset.kind === 'gradient') {
+      // Текстурный градиент идёт слева направо в локальных координатах фигуры
+      let minX = Infinity;
+      let maxX = -Infinity;
+      for (const v of body.localVerts) {
+        minX = Math.min(minX, v.x);
+        maxX = Math.max(maxX, v.x);
+      }
+      const [p1, p2] = transformVerts([{ x: minX, y: 0 }, { x: maxX, y: 0 }], pos.x, pos.y, rot).map(toPx);
+      const id = `g${i}`;
+      defs.push(
+        `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" ` +
+          `x1="${formatSvgNumber(p1.x)}" y1="${formatSvgNumber(p1.y)}" ` +
+          `x2="${formatSvgNumber(p2.x)}" y2="${formatSvgNumber(p2.y)}">` +
+          `<stop offset="0" stop-color="${escapeSvgAttr(toOpaqueHex(preset.from))}"/>` +
+          `<stop offset="1" stop-color="${escapeSvgAttr(toOpaqueHex(preset.to))}"/></linearGradient>`
+      );
+      fill = `url(#${id})`;
+    } else if (preset && preset.kind === 'solid') {
+      fill = toOpaqueHex(preset.color);
+    } else {
+      const base = body.mesh.material && body.mesh.material.userData && body.mesh.material.userData.baseColor;
+      fill = base ? '#' + base.getHexString() : '#ffffff';
+    }
+
+    if (body.shapeType === 'circle') {
+      const c = toPx(pos);
+      shapes.push(
+        `<circle cx="${formatSvgNumber(c.x)}" cy="${formatSvgNumber(c.y)}" ` +
+          `r="${formatSvgNumber(body.boundingRadius * scale)}" fill="${escapeSvgAttr(fill)}"/>`
+      );
+      return;
+    }
+
+    const points = transformVerts(body.localVerts, pos.x, pos.y, rot).map(toPx);
+    const d = points
+      .map((p, k) => `${k === 0 ? 'M' : 'L'}${formatSvgNumber(p.x)} ${formatSvgNumber(p.y)}`)
+      .join(' ');
+    shapes.push(`<path d="${d} Z" fill="${escapeSvgAttr(fill)}"/>`);
+  });
+
+  const totalWidth = width + borderSize * 2;
+  const totalHeight = height + borderSize * 2;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}">`,
+    `<defs>${defs.join('')}</defs>`,
+    `<rect width="${totalWidth}" height="${totalHeight}" fill="${escapeSvgAttr(borderColor)}"/>`,
+    `<rect x="${borderSize}" y="${borderSize}" width="${width}" height="${height}" fill="${CANVAS_BACKGROUND_COLOR}"/>`,
+    ...shapes,
+    '</svg>'
+  ].join('\n');
+}
+
+function saveSceneSvg(options = {}) {
+  try {
+    const svg = buildSceneSvg(options);
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    downloadBlob(blob, createTimestampedFilename('svg'));
+  } catch (e) {
+    console.error('Failed to export SVG:', e);
+  }
+}
+
+// --- Recording ---
+// The recorder doesn't use wall-clock time: every frame advances the world by
+// exactly RECORDING_STEPS_PER_FRAME fixed steps, so the same arrangement, seed
+// and impulse always produce the same clip regardless of the device's speed.
+const RECORDING_FPS = 25;
+const RECORDING_STEPS_PER_FRAME = Math.round(1 / (RECORDING_FPS * PHYSICS_STEP));
+const RECORDING_MAX_SECONDS = 12;
+// Frame sequences keep every frame in memory, so they are recorded smaller
+const FRAME_SEQUENCE_MAX_WIDTH = 1280;
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function pickRecordingMimeType() {
+  if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+    return null;
+  }
+  return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function updateRecordButton() {
+  if (recordButton) {
+    recordButton.textContent = recordingSession ? '⏹' : '⏺';
+    recordButton.setAttribute('aria-label', recordingSession ? 'Stop recording' : 'Record animation');
+    recordButton.style.color = recordingSession ? '#ff4d4d' : '#ffffff';
+  }
+  if (playPauseButton) {
+    playPauseButton.disabled = !!recordingSession;
+    playPauseButton.style.opacity = recordingSession ? '0.4' : '1';
+  }
+}
+
+function canvasToBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('toBlob returned null'))), type);
+  });
+}
+
+function createVideoSink(canvas, mimeType) {
+  // captureStream(0) only emits a frame when requestFrame() is called, so the
+  // video contains exactly the frames the recorder rendered.
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', event => {
+    if (event.data && event.data.size) chunks.push(event.data);
+  });
+  recorder.start();
+
+  return {
+    async addFrame() {
+      if (track && typeof track.requestFrame === 'function') {
+        track.requestFrame();
+      }
+    },
+    finish() {
+      return new Promise(resolve => {
+        recorder.addEventListener(
+          'stop',
+          () => {
+            track && track.stop();
+            resolve({
+              blob: new Blob(chunks, { type: mimeType.split(';')[0] }),
+              filename: createTimestampedFilename('webm')
+            });
+          },
+          { once: true }
+        );
+        recorder.stop();
+      });
+    },
+    cancel() {
+      if (recorder.state !== 'inactive') recorder.stop();
+      track && track.stop();
+    }
+  };
+}
+
+function createFrameSequenceSink(canvas) {
+  const scale = Math.min(1, FRAME_SEQUENCE_MAX_WIDTH / canvas.width);
+  const frameCanvas = document.createElement('canvas');
+  frameCanvas.width = Math.round(canvas.width * scale);
+  frameCanvas.height = Math.round(canvas.height * scale);
+  const ctx = frameCanvas.getContext('2d');
+  const files = [];
+
+  return {
+    async addFrame() {
+      ctx.drawImage(canvas, 0, 0, frameCanvas.width, frameCanvas.height);
+      const blob = await canvasToBlob(frameCanvas, 'image/png');
+      const data = new Uint8Array(await blob.arrayBuffer());
+      files.push({ name: `frame-${String(files.length).padStart(4, '0')}.png`, data });
+    },
+    async finish() {
+      return {
+        blob: new Blob([createStoredZip(files)], { type: 'application/zip' }),
+        filename: createTimestampedFilename('frames.zip')
+      };
+    },
+    cancel() {
+      files.length = 0;
+    }
+  };
+}
+
+// Starts a clip: gives every body an impulse drawn from the current seed and
+// records the motion until the shapes come to rest, the time limit is hit or
+// stopRecording() is called. Uses MediaRecorder (WebM) when available and a
+// zipped PNG frame sequence otherwise.
+function startRecording() {
+  if (recordingSession || !rendererRef || !sceneRef || !cameraRef) return;
+
+  const canvas = rendererRef.domElement;
+  const mimeType = typeof canvas.captureStream === 'function' ? pickRecordingMimeType() : null;
+  let sink;
+  try {
+    sink = mimeType ? createVideoSink(canvas, mimeType) : createFrameSequenceSink(canvas);
+  } catch (e) {
+    console.warn('Video recording is unavailable, falling back to a frame sequence:', e);
+    sink = createFrameSequenceSink(canvas);
+  }
+
+  // Рамка выделения не должна попасть в ролик
+  setFocusedBody(null, { silent: true });
+  const session = { sink, frame: 0, stopRequested: false };
+  recordingSession = session;
+  updateRecordButton();
+
+  startPlayRun();
+  setPhysicsEnabled(true);
+
+  const maxFrames = RECORDING_MAX_SECONDS * RECORDING_FPS;
+  const frameInterval = 1000 / RECORDING_FPS;
+
+  // Every frame is scheduled on its own, so each one has to catch its errors
+  async function recordFrame() {
+    try {
+      const startedAt = performance.now();
+      rendererRef.render(sceneRef, cameraRef);
+      await sink.addFrame();
+      session.frame++;
+
+      const finished =
+        session.stopRequested || !physicsEnabled || session.frame >= maxFrames;
+      if (finished) {
+        finishRecording(session);
+        return;
+      }
+
+      for (let i = 0; i < RECORDING_STEPS_PER_FRAME && physicsEnabled; i++) {
+        world.step(PHYSICS_STEP);
+        if (world.isAtRest()) {
+          setPhysicsEnabled(false);
+        }
+      }
+
+      // Keep roughly real-time pacing so the WebM plays back at the right speed
+      const wait = Math.max(0, frameInterval - (performance.now() - startedAt));
+      setTimeout(recordFrame, wait);
+    } catch (e) {
+      abortRecording(session, e);
+    }
+  }
+
+  recordFrame();
+}
+
+// Drops a session that failed mid-recording and gives the controls back.
+function abortRecording(session, error) {
+  try {
+    session.sink.cancel();
+  } catch (e) {
+    // Записи уже нет — отменять нечего
+  }
+  if (recordingSession === session) {
+    recordingSession = null;
+  }
+  updateRecordButton();
+  reportFailure('Recording failed', error);
+}
+
+function stopRecording() {
+  if (recordingSession) {
+    recordingSession.stopRequested = true;
+  }
+}
+
+async function finishRecording(session) {
+  try {
+    const { blob, filename } = await session.sink.finish();
+    downloadBlob(blob, filename);
+  } catch (e) {
+    reportFailure('Failed to finish recording', e);
+  } finally {
+    if (recordingSession === session) {
+      recordingSession = null;
+    }
+    updateRecordButton();
+  }
+}
+
 // Глобально отключаем даблклик‑зум на мобильных (iOS Safari и др.)
 if (typeof document !== 'undefined') {
   document.addEventListener(
@@ -1685,12 +3500,601 @@ if (typeof document !== 'undefined') {
   );
 }
 
-function createRefreshButton() {
-  const btn = document.createElement('button');
-  btn.type = 'button';
-  btn.textContent = '↻';
-  btn.setAttribute('aria-label', 'Refresh composition');
+function refreshPaletteEditor() {
+  if (paletteEditor) {
+    paletteEditor.render();
+  }
+}
+
+// CSS background showing a preset, for the editor's swatches. Grain has no
+// CSS equivalent and is shown as its plain color.
+function presetToCss(preset) {
+  const stops = () => getPresetStops(preset).map(stop => `${stop.color} ${Math.round(stop.offset * 100)}%`).join(', ');
+  switch (preset.kind) {
+    case 'gradient':
+      // CSS angles are clockwise from "to top", ours counter-clockwise from "to right"
+      return `linear-gradient(${90 - (preset.angle || 0)}deg, ${stops()})`;
+    case 'conic':
+      return `conic-gradient(from ${90 - (preset.angle || 0)}deg, ${stops()})`;
+    case 'stripes': {
+      const colors = getPresetColors(preset);
+      const bands = colors.map((color, i) => `${color} ${i * 4}px ${(i + 1) * 4}px`).join(', ');
+      return `repeating-linear-gradient(${-(preset.angle || 0)}deg, ${bands})`;
+    }
+    case 'dots':
+      return `radial-gradient(${toOpaqueHex(preset.dotColor)} 30%, transparent 32%) 0 0 / 6px 6px, ${toOpaqueHex(preset.color)}`;
+    default:
+      return toOpaqueHex(preset.color);
+  }
+}
+
+const PRESET_KIND_LABELS = {
+  solid: 'Solid',
+  gradient: 'Gradient',
+  conic: 'Conic',
+  noise: 'Grain',
+  stripes: 'Stripes',
+  dots: 'Dots'
+};
+
+// The same preset with its k-th color (in getPresetColors order) replaced.
+function withPresetColor(preset, k, color) {
+  switch (preset.kind) {
+    case 'solid':
+    case 'noise':
+      return { ...preset, color };
+    case 'gradient':
+    case 'conic':
+      if (!preset.stops) {
+        return k === 0 ? { ...preset, from: color } : { ...preset, to: color };
+      }
+      return { ...preset, stops: getPresetStops(preset).map((stop, i) => (i === k ? { ...stop, color } : stop)) };
+    case 'stripes':
+      return { ...preset, colors: preset.colors.map((c, i) => (i === k ? color : c)) };
+    case 'dots':
+      return k === 0 ? { ...preset, color } : { ...preset, dotColor: color };
+    default:
+      return preset;
+  }
+}
+
+// Turns a preset into another kind, keeping its first and last colors.
+function convertPreset(preset, kind) {
+  const colors = getPresetColors(preset);
+  const first = colors[0];
+  const last = colors[colors.length - 1];
+  switch (kind) {
+    case 'gradient':
+      return { kind: 'gradient', from: first, to: last };
+    case 'conic':
+      return normalizePreset({ kind: 'conic', stops: [first, last, first] });
+    case 'noise':
+      return normalizePreset({ kind: 'noise', color: first });
+    case 'stripes':
+      return normalizePreset({ kind: 'stripes', colors: [first, last] });
+    case 'dots':
+      return normalizePreset({ kind: 'dots', color: first, dotColor: last });
+    default:
+      return { kind: 'solid', color: first };
+  }
+}
+
+// Palette editor: one row per preset (kind, color stops, remove), plus adding
+// presets, importing palette files and going back to the series' palette.
+// Every edit is applied live through setActivePalette.
+function createPaletteEditor(isSmallScreen) {
+  const panel = document.createElement('div');
+  panel.id = 'palette-panel';
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', 'Palette editor');
+  panel.style.position = 'fixed';
+  panel.style.top = '56px';
+  panel.style.right = '12px';
+  panel.style.display = 'none';
+  panel.style.flexDirection = 'column';
+  panel.style.gap = '8px';
+  panel.style.maxHeight = '70vh';
+  panel.style.overflowY = 'auto';
+  panel.style.padding = '10px 14px';
+  panel.style.borderRadius = '14px';
+  panel.style.background = 'rgba(0,0,0,0.6)';
+  panel.style.backdropFilter = 'blur(8px)';
+  panel.style.color = '#ffffff';
+  panel.style.fontSize = isSmallScreen ? '16px' : '12px';
+  panel.style.zIndex = '11';
+
+  const list = document.createElement('div');
+  list.style.display = 'flex';
+  list.style.flexDirection = 'column';
+  list.style.gap = '6px';
+  panel.appendChild(list);
+
+  const status = document.createElement('div');
+  status.setAttribute('role', 'status');
+  status.style.minHeight = '1em';
+  status.style.opacity = '0.8';
+
+  // Set while the editor itself changes the palette: rebuilding the rows then
+  // would close a color picker the user is still dragging.
+  let selfUpdate = false;
+
+  // Applies a new palette; `commit` marks the end of an edit for undo.
+  function update(palette, remapIndex, commit = true) {
+    selfUpdate = true;
+    try {
+      setActivePalette(palette, remapIndex);
+    } finally {
+      selfUpdate = false;
+    }
+    if (commit) {
+      render();
+      recordHistory();
+    } else {
+      // Живой предпросмотр: обновляем только образцы цветов
+      Array.from(list.children).forEach((row, i) => {
+        row.firstChild.style.background = presetToCss(activePalette[i]);
+      });
+    }
+  }
+
+  function replacePreset(index, preset, commit) {
+    const next = activePalette.slice();
+    next[index] = preset;
+    update(next, undefined, commit);
+  }
+
+  function makeColorInput(value, label, onChange) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = toOpaqueHex(value);
+    input.setAttribute('aria-label', label);
+    // input — живой предпросмотр, change — конец правки (точка в истории)
+    input.addEventListener('input', () => onChange(input.value, false));
+    input.addEventListener('change', () => onChange(input.value, true));
+    return input;
+  }
+
+  function render() {
+    if (selfUpdate || panel.style.display === 'none') return;
+    list.textContent = '';
+    activePalette.forEach((preset, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+
+      const swatch = document.createElement('span');
+      swatch.style.width = '28px';
+      swatch.style.height = '16px';
+      swatch.style.borderRadius = '4px';
+      swatch.style.background = presetToCss(preset);
+      row.appendChild(swatch);
+
+      const kind = stylePanelControl(document.createElement('select'));
+      kind.setAttribute('aria-label', `Color ${index + 1} kind`);
+      Object.entries(PRESET_KIND_LABELS).forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        kind.appendChild(option);
+      });
+      kind.value = preset.kind;
+      kind.addEventListener('change', () => {
+        replacePreset(index, convertPreset(preset, kind.value), true);
+      });
+      row.appendChild(kind);
+
+      // Один выбор цвета на каждый цвет пресета (остановки, полосы, точки)
+      const colors = getPresetColors(preset);
+      colors.forEach((color, k) => {
+        let label = `Color ${index + 1}`;
+        if (preset.kind === 'gradient' && !preset.stops) {
+          label += k === 0 ? ' gradient start' : ' gradient end';
+        } else if (colors.length > 1) {
+          label += ` ${PRESET_KIND_LABELS[preset.kind].toLowerCase()} color ${k + 1}`;
+        }
+        row.appendChild(
+          makeColorInput(color, label, (value, commit) =>
+            replacePreset(index, withPresetColor(preset, k, value), commit)
+          )
+        );
+      });
+
+      const remove = createPanelButton('✕', `Remove color ${index + 1}`, () => {
+        const next = activePalette.filter((_, i) => i !== index);
+        // Фигуры удалённого цвета берут соседний, остальные сохраняют свой
+        update(next, i => (i === index ? i % next.length : i > index ? i - 1 : i));
+      });
+      remove.disabled = activePalette.length <= 1;
+      remove.style.opacity = remove.disabled ? '0.4' : '1';
+      row.appendChild(remove);
+
+      list.appendChild(row);
+    });
+  }
+
+  const actions = document.createElement('div');
+  actions.style.display = 'flex';
+  actions.style.flexWrap = 'wrap';
+  actions.style.gap = '6px';
+
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.json,.gpl,.ase,.txt,application/json,text/plain';
+  importInput.style.display = 'none';
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const palette = parsePaletteFile(file.name, await file.arrayBuffer());
+      update(palette);
+      status.textContent = `Imported ${palette.length} colors`;
+    } catch (e) {
+      console.error('Failed to import palette:', e);
+      status.textContent = e.message;
+    }
+  });
+
+  actions.appendChild(
+    createPanelButton('+ Solid', 'Add solid color', () => {
+      update(activePalette.concat([{ kind: 'solid', color: '#ffffff' }]));
+    })
+  );
+  actions.appendChild(
+    createPanelButton('+ Gradient', 'Add gradient', () => {
+      update(activePalette.concat([{ kind: 'gradient', from: '#ffffff', to: '#000000' }]));
+    })
+  );
+  actions.appendChild(createPanelButton('Import…', 'Import palette file', () => importInput.click()));
+  actions.appendChild(
+    createPanelButton('Reset', 'Reset to the series palette', () => {
+      update(activeSpec.palette);
+      status.textContent = '';
+    })
+  );
+  actions.appendChild(importInput);
+  panel.appendChild(actions);
+  panel.appendChild(status);
+
+  document.body.appendChild(panel);
+
+  function toggle() {
+    const willShow = panel.style.display === 'none';
+    panel.style.display = willShow ? 'flex' : 'none';
+    if (willShow) render();
+    return willShow;
+  }
+
+  return { panel, toggle, render };
+}
+
+// --- Gallery ---
+// Every save also goes into an IndexedDB gallery (see gallery.js) with a
+// thumbnail, the seed and the full scene snapshot, so it can be restored later.
+const GALLERY_THUMBNAIL_WIDTH = 240;
+
+function createGalleryThumbnail() {
+  const image = withFocusOutlineHidden(() => createExportCanvas({ borderSize: 0 }));
+  if (!image) return null;
+  const thumb = document.createElement('canvas');
+  thumb.width = GALLERY_THUMBNAIL_WIDTH;
+  thumb.height = Math.max(1, Math.round((image.height / image.width) * GALLERY_THUMBNAIL_WIDTH));
+  thumb.getContext('2d').drawImage(image, 0, 0, thumb.width, thumb.height);
+  return thumb.toDataURL('image/jpeg', 0.85);
+}
+
+async function saveToGallery() {
+  const thumbnail = createGalleryThumbnail();
+  if (!thumbnail) return;
+  try {
+    await addGalleryItem({
+      createdAt: new Date().toISOString(),
+      seed: currentSeed || '',
+      thumbnail,
+      snapshot: serializeScene()
+    });
+    announce('Saved to the gallery');
+    if (galleryPanel) {
+      galleryPanel.render();
+    }
+  } catch (e) {
+    console.error('Failed to save to the gallery:', e);
+  }
+}
+
+function restoreGalleryItem(item) {
+  try {
+    withoutHistory(() => restoreScene(item.snapshot));
+    recordHistory();
+    announce(`Restored composition ${item.seed || ''}`.trim());
+  } catch (e) {
+    reportFailure(`Could not restore the composition: ${e.message}`, e);
+  }
+}
+
+// Gallery panel: a grid of saved compositions (click to restore, ✕ to delete),
+// plus export / import of the whole gallery as one JSON file.
+function createGalleryPanel(isSmallScreen) {
+  const panel = document.createElement('div');
+  panel.id = 'gallery-panel';
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', 'Gallery');
+  panel.style.position = 'fixed';
+  panel.style.top = '56px';
+  panel.style.left = '12px';
+  panel.style.display = 'none';
+  panel.style.flexDirection = 'column';
+  panel.style.gap = '8px';
+  panel.style.width = isSmallScreen ? 'calc(100vw - 48px)' : '300px';
+  panel.style.maxHeight = '70vh';
+  panel.style.overflowY = 'auto';
+  panel.style.padding = '10px 14px';
+  panel.style.borderRadius = '14px';
+  panel.style.background = 'rgba(0,0,0,0.6)';
+  panel.style.backdropFilter = 'blur(8px)';
+  panel.style.color = '#ffffff';
+  panel.style.fontSize = isSmallScreen ? '16px' : '12px';
+  panel.style.zIndex = '11';
+
+  const grid = document.createElement('div');
+  grid.style.display = 'grid';
+  grid.style.gridTemplateColumns = 'repeat(2, 1fr)';
+  grid.style.gap = '8px';
+  panel.appendChild(grid);
+
+  const status = document.createElement('div');
+  status.setAttribute('role', 'status');
+  status.style.minHeight = '1em';
+  status.style.opacity = '0.8';
+
+  // Номер запроса: при быстрых повторных вызовах рисуем только последний список
+  let renderId = 0;
+
+  async function render() {
+    if (panel.style.display === 'none') return;
+    const id = ++renderId;
+    let items;
+    try {
+      items = await listGalleryItems();
+    } catch (e) {
+      console.error('Failed to read the gallery:', e);
+      status.textContent = 'The gallery is not available in this browser';
+      return;
+    }
+    if (id !== renderId) return;
+
+    grid.textContent = '';
+    if (!items.length) {
+      status.textContent = 'Nothing saved yet — 💾 adds the current composition';
+    } else if (status.textContent.startsWith('Nothing saved')) {
+      status.textContent = '';
+    }
+    items.forEach(item => {
+      const date = new Date(item.createdAt).toLocaleString();
+      const cell = document.createElement('div');
+      cell.style.position = 'relative';
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.setAttribute('aria-label', `Restore composition ${item.seed} saved ${date}`);
+      open.title = `${item.seed}\n${date}`;
+      open.style.display = 'block';
+      open.style.width = '100%';
+      open.style.padding = '0';
+      open.style.border = '1px solid rgba(255,255,255,0.25)';
+      open.style.borderRadius = '8px';
+      open.style.overflow = 'hidden';
+      open.style.cursor = 'pointer';
+      open.style.background = CANVAS_BACKGROUND_COLOR;
+      const img = document.createElement('img');
+      img.src = item.thumbnail;
+      img.alt = '';
+      img.style.display = 'block';
+      img.style.width = '100%';
+      open.appendChild(img);
+      open.addEventListener('click', () => restoreGalleryItem(item));
+      cell.appendChild(open);
+
+      const remove = createPanelButton('✕', `Delete composition ${item.seed} saved ${date}`, async () => {
+        try {
+          await deleteGalleryItem(item.id);
+        } catch (e) {
+          console.error('Failed to delete gallery item:', e);
+        }
+        render();
+      });
+      remove.style.position = 'absolute';
+      remove.style.top = '4px';
+      remove.style.right = '4px';
+      remove.style.padding = '2px 6px';
+      remove.style.background = 'rgba(0,0,0,0.6)';
+      cell.appendChild(remove);
+
+      grid.appendChild(cell);
+    });
+  }
+
+  const actions = document.createElement('div');
+  actions.style.display = 'flex';
+  actions.style.flexWrap = 'wrap';
+  actions.style.gap = '6px';
+
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.json,application/json';
+  importInput.style.display = 'none';
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const { items, skipped } = parseGalleryFile(JSON.parse(await file.text()), snapshot =>
+        validateSceneSnapshot(snapshot, activePalette)
+      );
+      await addGalleryItems(items);
+      status.textContent =
+        `Imported ${items.length} compositions` + (skipped ? ` (${skipped} could not be read)` : '');
+      render();
+    } catch (e) {
+      console.error('Failed to import gallery:', e);
+      status.textContent = e instanceof SyntaxError ? 'Gallery file is not valid JSON' : e.message;
+    }
+  });
+
+  actions.appendChild(
+    createPanelButton('Save current', 'Save current composition to the gallery', () => saveToGallery())
+  );
+  actions.appendChild(
+    createPanelButton('Export', 'Export gallery as JSON', async () => {
+      try {
+        const json = JSON.stringify(serializeGallery(await listGalleryItems()));
+        downloadBlob(new Blob([json], { type: 'application/json' }), createTimestampedFilename('gallery.json'));
+      } catch (e) {
+        console.error('Failed to export gallery:', e);
+      }
+    })
+  );
+  actions.appendChild(createPanelButton('Import…', 'Import gallery file', () => importInput.click()));
+  actions.appendChild(importInput);
+  panel.appendChild(actions);
+  panel.appendChild(status);
+
+  document.body.appendChild(panel);
+
+  function toggle() {
+    const willShow = panel.style.display === 'none';
+    panel.style.display = willShow ? 'flex' : 'none';
+    if (willShow) render();
+    return willShow;
+  }
+
+  return { panel, toggle, render };
+}
 
+// Pill-shaped control of the pop-up panels (export options, palette editor, gallery)
+function stylePanelControl(el) {
+  el.style.font = 'inherit';
+  el.style.borderRadius = '999px';
+  el.style.border = 'none';
+  el.style.padding = '4px 10px';
+  el.style.cursor = 'pointer';
+  el.style.background = 'rgba(255,255,255,0.18)';
+  el.style.color = '#ffffff';
+  return el;
+}
+
+function createPanelButton(text, label, action) {
+  const b = stylePanelControl(document.createElement('button'));
+  b.type = 'button';
+  b.textContent = text;
+  b.setAttribute('aria-label', label);
+  b.addEventListener('click', action);
+  return b;
+}
+
+// Panel with export options (resolution, border, PNG / SVG), shown above the controls bar.
+function createExportPanel(isSmallScreen) {
+  const panel = document.createElement('div');
+  panel.id = 'export-panel';
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', 'Export options');
+  panel.style.position = 'fixed';
+  panel.style.left = '50%';
+  panel.style.transform = 'translateX(-50%)';
+  panel.style.bottom = isSmallScreen ? '120px' : '60px';
+  panel.style.display = 'none';
+  panel.style.flexWrap = 'wrap';
+  panel.style.gap = '10px';
+  panel.style.alignItems = 'center';
+  panel.style.padding = '10px 14px';
+  panel.style.borderRadius = '14px';
+  panel.style.background = 'rgba(0,0,0,0.6)';
+  panel.style.backdropFilter = 'blur(8px)';
+  panel.style.color = '#ffffff';
+  panel.style.fontSize = isSmallScreen ? '16px' : '12px';
+  panel.style.zIndex = '11';
+
+  function addField(labelText, input) {
+    const label = document.createElement('label');
+    label.style.display = 'flex';
+    label.style.alignItems = 'center';
+    label.style.gap = '6px';
+    label.textContent = labelText;
+    input.style.font = 'inherit';
+    label.appendChild(input);
+    panel.appendChild(label);
+    return input;
+  }
+
+  const sourceCanvas = document.getElementById('app');
+  const widthInput = document.createElement('input');
+  widthInput.type = 'number';
+  widthInput.min = '100';
+  widthInput.max = '16384';
+  widthInput.step = '100';
+  widthInput.value = String(sourceCanvas ? sourceCanvas.width : 1920);
+  widthInput.style.width = '6em';
+  addField('Width, px', widthInput);
+
+  const borderInput = document.createElement('input');
+  borderInput.type = 'number';
+  borderInput.min = '0';
+  borderInput.step = '10';
+  borderInput.value = String(DEFAULT_EXPORT_BORDER_SIZE);
+  borderInput.style.width = '4.5em';
+  addField('Border, px', borderInput);
+
+  const colorInput = document.createElement('input');
+  colorInput.type = 'color';
+  colorInput.value = CANVAS_BACKGROUND_COLOR;
+  addField('Border color', colorInput);
+
+  function readOptions() {
+    const width = parseInt(widthInput.value, 10);
+    const borderSize = parseInt(borderInput.value, 10);
+    return {
+      width: Number.isFinite(width) && width > 0 ? width : undefined,
+      borderSize: Number.isFinite(borderSize) && borderSize >= 0 ? borderSize : undefined,
+      borderColor: colorInput.value
+    };
+  }
+
+  [['PNG', () => saveCurrentCanvas(readOptions())], ['SVG', () => saveSceneSvg(readOptions())]].forEach(
+    ([text, action]) => {
+      panel.appendChild(createPanelButton(text, `Export ${text}`, action));
+    }
+  );
+
+  document.body.appendChild(panel);
+
+  function toggle() {
+    const willShow = panel.style.display === 'none';
+    if (willShow && sourceCanvas && !widthInput.dataset.touched) {
+      // Пока пользователь не менял ширину, подставляем текущий размер канваса
+      widthInput.value = String(sourceCanvas.width);
+    }
+    panel.style.display = willShow ? 'flex' : 'none';
+    return willShow;
+  }
+  widthInput.addEventListener('input', () => {
+    widthInput.dataset.touched = '1';
+  });
+
+  return { panel, toggle };
+}
+
+// Disable text selection and touch callouts on toolbar controls
+function disableTextSelection(el) {
+  el.style.userSelect = 'none';
+  el.style.webkitUserSelect = 'none';
+  el.style.MozUserSelect = 'none';
+  el.style.msUserSelect = 'none';
+  el.style.webkitTouchCallout = 'none';
+  el.style.WebkitTapHighlightColor = 'transparent';
+}
+
+function createRefreshButton() {
   // Compact circular button in the bottom-right corner,
   // larger on any small screen (по меньшей стороне окна).
   const minSide = Math.min(window.innerWidth, window.innerHeight);
@@ -1701,6 +4105,8 @@ function createRefreshButton() {
   if (!controlsBar) {
     controlsBar = document.createElement('div');
     controlsBar.id = 'controls-bar';
+    controlsBar.setAttribute('role', 'toolbar');
+    controlsBar.setAttribute('aria-label', 'Composition controls');
     controlsBar.style.position = 'fixed';
     controlsBar.style.left = '50%';
     controlsBar.style.transform = 'translateX(-50%)';
@@ -1709,158 +4115,153 @@ function createRefreshButton() {
     controlsBar.style.gap = isSmallScreen ? '18px' : '10px';
     controlsBar.style.alignItems = 'center';
     controlsBar.style.justifyContent = 'center';
+    // Кнопок много: на узких экранах переносим их на вторую строку
+    controlsBar.style.flexWrap = 'wrap';
+    controlsBar.style.width = 'max-content';
+    controlsBar.style.maxWidth = 'calc(100vw - 24px)';
     controlsBar.style.zIndex = '10';
     // Hint to browser that this is a controls bar, not a zoom target
     controlsBar.style.touchAction = 'manipulation';
     document.body.appendChild(controlsBar);
     // Disable text selection and touch callouts on the controls bar
-    controlsBar.style.userSelect = 'none';
-    controlsBar.style.webkitUserSelect = 'none';
-    controlsBar.style.MozUserSelect = 'none';
-    controlsBar.style.msUserSelect = 'none';
-    controlsBar.style.webkitTouchCallout = 'none';
-    controlsBar.style.WebkitTapHighlightColor = 'transparent';
-  }
-
-  btn.style.position = 'relative';
-  btn.style.width = isSmallScreen ? '80px' : '32px';
-  btn.style.height = isSmallScreen ? '80px' : '32px';
-  btn.style.borderRadius = '50%';
-  btn.style.border = 'none';
-  btn.style.padding = '0';
-  btn.style.display = 'flex';
-  btn.style.alignItems = 'center';
-  btn.style.justifyContent = 'center';
-  btn.style.fontSize = isSmallScreen ? '24px' : '18px';
-  btn.style.lineHeight = isSmallScreen ? '52px' : '32px';
-  btn.style.cursor = 'pointer';
-  btn.style.background = 'rgba(255,255,255,0.12)';
-  btn.style.color = '#ffffff';
-  btn.style.backdropFilter = 'blur(8px)';
-  btn.style.touchAction = 'manipulation';
-
-  btn.addEventListener('mouseenter', () => {
-    btn.style.background = 'rgba(255,255,255,0.22)';
-  });
-  btn.addEventListener('mouseleave', () => {
-    btn.style.background = 'rgba(255,255,255,0.12)';
-  });
+    disableTextSelection(controlsBar);
+  }
 
+  // Круглая кнопка панели управления. `largeIcon` — чуть крупнее значок на маленьких
+  // экранах; `hover: false` — кнопка сама управляет своим фоном.
+  function createControlButton(icon, label, { largeIcon = false, hover = true } = {}) {
+    const el = document.createElement('button');
+    el.type = 'button';
+    if (icon) el.textContent = icon;
+    if (label) el.setAttribute('aria-label', label);
+
+    el.style.position = 'relative';
+    el.style.width = isSmallScreen ? '80px' : '32px';
+    el.style.height = isSmallScreen ? '80px' : '32px';
+    el.style.borderRadius = '50%';
+    el.style.border = 'none';
+    el.style.padding = '0';
+    el.style.display = 'flex';
+    el.style.alignItems = 'center';
+    el.style.justifyContent = 'center';
+    el.style.fontSize = isSmallScreen ? (largeIcon ? '26px' : '24px') : '18px';
+    el.style.lineHeight = isSmallScreen ? '52px' : '32px';
+    el.style.cursor = 'pointer';
+    el.style.background = 'rgba(255,255,255,0.12)';
+    el.style.color = '#ffffff';
+    el.style.backdropFilter = 'blur(8px)';
+    el.style.touchAction = 'manipulation';
+    disableTextSelection(el);
+
+    if (hover) {
+      el.addEventListener('mouseenter', () => {
+        if (!el.disabled) el.style.background = 'rgba(255,255,255,0.22)';
+      });
+      el.addEventListener('mouseleave', () => {
+        el.style.background = 'rgba(255,255,255,0.12)';
+      });
+    }
+    return el;
+  }
+
+  const btn = createControlButton('↻', 'Refresh composition');
   btn.addEventListener('click', () => {
     const newSeed = getSeed();
     regenerateComposition(newSeed);
+    writeSeedToUrl(newSeed);
   });
 
 
-  // --- Save canvas button ---
-  const saveBtn = document.createElement('button');
-  saveBtn.type = 'button';
-  saveBtn.textContent = '💾';
-  saveBtn.setAttribute('aria-label', 'Save current image');
-
-  saveBtn.style.position = 'relative';
-  saveBtn.style.width = isSmallScreen ? '80px' : '32px';
-  saveBtn.style.height = isSmallScreen ? '80px' : '32px';
-  saveBtn.style.borderRadius = '50%';
-  saveBtn.style.border = 'none';
-  saveBtn.style.padding = '0';
-  saveBtn.style.display = 'flex';
-  saveBtn.style.alignItems = 'center';
-  saveBtn.style.justifyContent = 'center';
-  saveBtn.style.fontSize = isSmallScreen ? '24px' : '18px';
-  saveBtn.style.lineHeight = isSmallScreen ? '52px' : '32px';
-  saveBtn.style.cursor = 'pointer';
-  saveBtn.style.background = 'rgba(255,255,255,0.12)';
-  saveBtn.style.color = '#ffffff';
-  saveBtn.style.backdropFilter = 'blur(8px)';
-  saveBtn.style.touchAction = 'manipulation';
-
-  saveBtn.addEventListener('mouseenter', () => {
-    saveBtn.style.background = 'rgba(255,255,255,0.22)';
-  });
-  saveBtn.addEventListener('mouseleave', () => {
-    saveBtn.style.background = 'rgba(255,255,255,0.12)';
-  });
+  // --- Undo / Redo buttons ---
+  function createHistoryButton(icon, label, shortcuts, action) {
+    const historyBtn = createControlButton(icon, label, { largeIcon: true });
+    historyBtn.setAttribute('aria-keyshortcuts', shortcuts);
+    historyBtn.addEventListener('click', action);
+    return historyBtn;
+  }
 
+  const undoBtn = createHistoryButton('↶', 'Undo', 'Control+Z Meta+Z', undo);
+  const redoBtn = createHistoryButton('↷', 'Redo', 'Control+Shift+Z Meta+Shift+Z Control+Y', redo);
+  undoButton = undoBtn;
+  redoButton = redoBtn;
+  updateHistoryButtons();
+
+
+  // --- Save canvas button ---
+  const saveBtn = createControlButton('💾', 'Save current image');
   saveBtn.addEventListener('click', () => {
     saveCurrentCanvas();
+    // Каждое сохранение попадает и в галерею
+    saveToGallery();
   });
 
 
   // --- Play / Pause toggle button ---
-  const playBtn = document.createElement('button');
-  playBtn.type = 'button';
-  playPauseButton = playBtn;
   // Иконка зависит от текущего состояния физики
-  playBtn.textContent = physicsEnabled ? '⏸' : '▶';
-  playBtn.setAttribute('aria-label', 'Play / Pause animation');
-
-  playBtn.style.position = 'relative';
-  playBtn.style.width = isSmallScreen ? '80px' : '32px';
-  playBtn.style.height = isSmallScreen ? '80px' : '32px';
-  playBtn.style.borderRadius = '50%';
-  playBtn.style.border = 'none';
-  playBtn.style.padding = '0';
-  playBtn.style.display = 'flex';
-  playBtn.style.alignItems = 'center';
-  playBtn.style.justifyContent = 'center';
-  playBtn.style.fontSize = isSmallScreen ? '24px' : '18px';
-  playBtn.style.lineHeight = isSmallScreen ? '52px' : '32px';
-  playBtn.style.cursor = 'pointer';
-  playBtn.style.background = 'rgba(255,255,255,0.12)';
-  playBtn.style.color = '#ffffff';
-  playBtn.style.backdropFilter = 'blur(8px)';
-  playBtn.style.touchAction = 'manipulation';
-
-  playBtn.addEventListener('mouseenter', () => {
-    playBtn.style.background = 'rgba(255,255,255,0.22)';
-  });
-  playBtn.addEventListener('mouseleave', () => {
-    playBtn.style.background = 'rgba(255,255,255,0.12)';
-  });
-
+  const playBtn = createControlButton(
+    physicsEnabled ? '⏸' : '▶',
+    physicsEnabled ? 'Pause animation' : 'Play animation'
+  );
+  playPauseButton = playBtn;
   playBtn.addEventListener('click', () => {
     const willEnable = !physicsEnabled;
     setPhysicsEnabled(willEnable);
     // Если мы переходим в режим Play, даём всем фигурам импульс.
     if (willEnable) {
-      applyPlayImpulse();
+      startPlayRun();
     }
   });
 
+
+  // --- Replay last run button ---
+  const replayBtn = createControlButton('⏮', 'Replay last run');
+  replayButton = replayBtn;
+  replayBtn.addEventListener('click', replayLastRun);
+  updateReplayButton();
+
   // Сохраняем ссылку на кнопку Play/Pause, чтобы другие контролы могли менять её иконку.
 
+  // --- Record toggle button ---
+  const recordBtn = createControlButton(null, 'Record animation');
+  recordButton = recordBtn;
+  updateRecordButton();
+
+  recordBtn.addEventListener('click', () => {
+    if (recordingSession) {
+      stopRecording();
+    } else {
+      startRecording();
+    }
+  });
+
+
+
+  // --- Physics mode button (cycles through PHYSICS_MODE_ORDER) ---
+  const modeBtn = createControlButton();
+  physicsModeButton = modeBtn;
+  // Иконка и подпись текущего режима
+  setPhysicsMode(world.mode);
+
+  modeBtn.addEventListener('click', () => {
+    if (recordingSession) return;
+    const next =
+      PHYSICS_MODE_ORDER[(PHYSICS_MODE_ORDER.indexOf(world.mode) + 1) % PHYSICS_MODE_ORDER.length];
+    setPhysicsMode(next);
+    announce(`Physics mode: ${PHYSICS_MODE_UI[next].label}`);
+    // Силовые поля сразу приводят фигуры в движение
+    if (next !== 'drift') {
+      setPhysicsEnabled(true);
+    }
+    recordHistory();
+  });
 
 
   // --- Color transfer ON/OFF toggle button ---
-  const colorBtn = document.createElement('button');
-  colorBtn.type = 'button';
-  colorBtn.textContent = '◩'; // OFF state icon
-  colorBtn.setAttribute('aria-label', 'Toggle color swapping on collisions');
-
-  colorBtn.style.position = 'relative';
-  colorBtn.style.width = isSmallScreen ? '80px' : '32px';
-  colorBtn.style.height = isSmallScreen ? '80px' : '32px';
-  colorBtn.style.borderRadius = '50%';
-  colorBtn.style.border = 'none';
-  colorBtn.style.padding = '0';
-  colorBtn.style.display = 'flex';
-  colorBtn.style.alignItems = 'center';
-  colorBtn.style.justifyContent = 'center';
-  colorBtn.style.fontSize = isSmallScreen ? '26px' : '18px';
-  colorBtn.style.lineHeight = isSmallScreen ? '52px' : '32px';
-  colorBtn.style.cursor = 'pointer';
-  colorBtn.style.background = 'rgba(255,255,255,0.12)';
-  colorBtn.style.color = '#ffffff';
-  colorBtn.style.backdropFilter = 'blur(8px)';
-  colorBtn.style.touchAction = 'manipulation';
-
-  function updateColorButtonVisual() {
-    // По умолчанию переключение OFF: более тёмный фон.
-    colorBtn.style.background = colorTransferEnabled
-      ? 'rgba(255,255,255,0.32)'
-      : 'rgba(255,255,255,0.12)';
-  }
+  const colorBtn = createControlButton('◩', 'Swap colors on collisions', {
+    largeIcon: true,
+    hover: false
+  });
+  colorTransferButton = colorBtn;
 
   colorBtn.addEventListener('mouseenter', () => {
     const baseAlpha = colorTransferEnabled ? 0.42 : 0.22;
@@ -1868,38 +4269,159 @@ function createRefreshButton() {
   });
 
   colorBtn.addEventListener('mouseleave', () => {
-    updateColorButtonVisual();
+    setColorTransferEnabled(colorTransferEnabled);
   });
 
   colorBtn.addEventListener('click', () => {
-    colorTransferEnabled = !colorTransferEnabled;
-    // OFF → ◩, ON → ◪
-    colorBtn.textContent = colorTransferEnabled ? '◪' : '◩';
-    updateColorButtonVisual();
+    setColorTransferEnabled(!colorTransferEnabled);
+    recordHistory();
+  });
+
+  // Инициализируем визуал согласно текущему значению (по умолчанию OFF)
+  setColorTransferEnabled(colorTransferEnabled);
+
+
+  // --- Color transfer rule picker ---
+  const ruleSelect = document.createElement('select');
+  colorTransferRuleSelect = ruleSelect;
+  ruleSelect.setAttribute('aria-label', 'Color transfer rule');
+  for (const [key, rule] of Object.entries(COLOR_TRANSFER_RULES)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = rule.label;
+    ruleSelect.appendChild(option);
+  }
+  ruleSelect.value = colorTransferRule;
+
+  ruleSelect.style.height = isSmallScreen ? '80px' : '32px';
+  ruleSelect.style.borderRadius = '999px';
+  ruleSelect.style.border = 'none';
+  ruleSelect.style.padding = isSmallScreen ? '0 18px' : '0 10px';
+  ruleSelect.style.fontSize = isSmallScreen ? '22px' : '13px';
+  ruleSelect.style.cursor = 'pointer';
+  ruleSelect.style.background = 'rgba(255,255,255,0.12)';
+  ruleSelect.style.color = '#ffffff';
+  ruleSelect.style.backdropFilter = 'blur(8px)';
+  ruleSelect.style.touchAction = 'manipulation';
+
+  ruleSelect.addEventListener('change', () => {
+    setColorTransferRule(ruleSelect.value);
+    // Выбор правила сразу включает передачу цвета
+    setColorTransferEnabled(true);
+    recordHistory();
+  });
+
+
+  // --- Palette editor button ---
+  paletteEditor = createPaletteEditor(isSmallScreen);
+  const paletteBtn = createControlButton('🎨', 'Edit palette');
+  paletteBtn.setAttribute('aria-expanded', 'false');
+  paletteBtn.setAttribute('aria-controls', paletteEditor.panel.id);
+  paletteBtn.addEventListener('click', () => {
+    const open = paletteEditor.toggle();
+    paletteBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+  });
+
+
+  // --- Gallery button ---
+  galleryPanel = createGalleryPanel(isSmallScreen);
+  const galleryBtn = createControlButton('🖼', 'Show gallery');
+  galleryBtn.setAttribute('aria-expanded', 'false');
+  galleryBtn.setAttribute('aria-controls', galleryPanel.panel.id);
+  galleryBtn.addEventListener('click', () => {
+    const open = galleryPanel.toggle();
+    galleryBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+  });
+
+
+  // --- Copy link (current seed) button ---
+  const linkBtn = createControlButton('🔗', 'Copy link to this composition');
+
+  let linkFeedbackTimer = null;
+  linkBtn.addEventListener('click', async () => {
+    const copied = await copySeedLink();
+    // Короткая визуальная обратная связь: ✓ при успехе, ✕ при ошибке
+    linkBtn.textContent = copied ? '✓' : '✕';
+    announce(copied ? 'Link copied' : 'Could not copy the link');
+    clearTimeout(linkFeedbackTimer);
+    linkFeedbackTimer = setTimeout(() => {
+      linkBtn.textContent = '🔗';
+    }, 1200);
+  });
+
+
+
+  // --- Scene snapshot export / import buttons ---
+  const exportBtn = createControlButton('⤓', 'Export scene as JSON');
+  const importBtn = createControlButton('⤒', 'Import scene from JSON');
+
+  // Скрытый input для выбора JSON-файла со сценой
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = 'application/json,.json';
+  importInput.style.display = 'none';
+  importInput.addEventListener('change', () => {
+    importSceneSnapshotFile(importInput.files && importInput.files[0]);
+    // Сбрасываем значение, чтобы можно было повторно выбрать тот же файл
+    importInput.value = '';
+  });
+
+  exportBtn.addEventListener('click', () => {
+    exportSceneSnapshot();
+  });
+  importBtn.addEventListener('click', () => {
+    importInput.click();
   });
 
-  // Инициализируем визуал согласно значению по умолчанию (OFF)
-  updateColorButtonVisual();
-  colorBtn.textContent = '◩';
-
-  // Disable text selection and touch callouts on all control buttons
-  [btn, saveBtn, playBtn, colorBtn].forEach(el => {
-    el.style.userSelect = 'none';
-    el.style.webkitUserSelect = 'none';
-    el.style.MozUserSelect = 'none';
-    el.style.msUserSelect = 'none';
-    el.style.webkitTouchCallout = 'none';
-    el.style.WebkitTapHighlightColor = 'transparent';
+  // --- Export options (high resolution PNG / SVG) ---
+  const exportPanel = createExportPanel(isSmallScreen);
+  const exportOptionsBtn = createControlButton('⎙', 'Export options');
+  exportOptionsBtn.setAttribute('aria-expanded', 'false');
+  exportOptionsBtn.setAttribute('aria-controls', exportPanel.panel.id);
+  exportOptionsBtn.addEventListener('click', () => {
+    const open = exportPanel.toggle();
+    exportOptionsBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
   });
-  // Append buttons in desired order: Play, Refresh, Color, Save
+
+  // Append buttons in desired order: Play, Replay, Record, Refresh, Undo, Redo, Mode, Color, Color rule, Palette, Save, Gallery, Export options, Link, Export, Import
   controlsBar.appendChild(playBtn);
+  controlsBar.appendChild(replayBtn);
+  controlsBar.appendChild(recordBtn);
   controlsBar.appendChild(btn);
+  controlsBar.appendChild(undoBtn);
+  controlsBar.appendChild(redoBtn);
+  controlsBar.appendChild(modeBtn);
   controlsBar.appendChild(colorBtn);
+  controlsBar.appendChild(ruleSelect);
+  controlsBar.appendChild(paletteBtn);
   controlsBar.appendChild(saveBtn);
+  controlsBar.appendChild(galleryBtn);
+  controlsBar.appendChild(exportOptionsBtn);
+  controlsBar.appendChild(linkBtn);
+  controlsBar.appendChild(exportBtn);
+  controlsBar.appendChild(importBtn);
+  controlsBar.appendChild(importInput);
+}
+
+// Offline support: sw.js caches the page, its modules and the vendored Three.js.
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('./sw.js').catch(e => {
+      console.warn('Service worker registration failed:', e);
+    });
+  });
 }
 
 (function main() {
-  const seed = getSeed();
+  setActiveSpec(COMPOSITION_SERIES[readSeriesFromUrl()]);
+  const seed = getInitialSeed();
+  writeSeedToUrl(seed, true);
   createScene(seed);
+  // Первая точка истории — исходная композиция
+  recordHistory();
   createRefreshButton();
+  window.addEventListener('popstate', onSeedPopState);
+  window.addEventListener('keydown', onHistoryKeyDown);
+  registerServiceWorker();
 })();
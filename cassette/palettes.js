@@ -0,0 +1,241 @@
+// palettes.js
+//
+// Palette file parsing (no THREE, no DOM). Every parser returns an array of
+// cassette color presets (see normalizePreset) with colors as lowercase
+// #rrggbb, and throws an Error with a readable message when the input can't be used.
+
+const HEX_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// '#abc', 'aabbcc', '#aabbccff' → '#aabbcc'; null for anything else.
+export function normalizeHex(value) {
+  if (typeof value !== 'string') return null;
+  const match = HEX_PATTERN.exec(value.trim());
+  if (!match) return null;
+  let digits = match[1].toLowerCase();
+  if (digits.length === 3) {
+    digits = digits.split('').map(d => d + d).join('');
+  }
+  return `#${digits.slice(0, 6)}`;
+}
+
+function finiteOr(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+// Gradient stops: hex strings (spread evenly) or { offset: 0..1, color }.
+function normalizeStops(stops) {
+  if (!Array.isArray(stops) || stops.length < 2) return null;
+  const result = [];
+  for (let i = 0; i < stops.length; i++) {
+    const stop = stops[i];
+    const color = normalizeHex(typeof stop === 'string' ? stop : stop && stop.color);
+    if (!color) return null;
+    const evenOffset = i / (stops.length - 1);
+    const offset = typeof stop === 'string' ? evenOffset : finiteOr(stop.offset, evenOffset);
+    result.push({ offset: Math.max(0, Math.min(1, offset)), color });
+  }
+  return result;
+}
+
+// Checks and cleans up one color preset; returns null if it isn't usable.
+//   { kind: 'solid', color }
+//   { kind: 'gradient', from, to }                      — left to right
+//   { kind: 'gradient', stops, angle? }                 — multi-stop, angle in degrees
+//   { kind: 'conic', stops, angle? }                    — sweep around the center
+//   { kind: 'noise', color, grain? }                    — grain 0..1
+//   { kind: 'stripes', colors, width?, angle? }         — width: share of the shorter side
+//   { kind: 'dots', color, dotColor, spacing?, radius?, jitter? }
+export function normalizePreset(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  switch (entry.kind) {
+    case 'solid': {
+      const color = normalizeHex(entry.color);
+      return color && { kind: 'solid', color };
+    }
+    case 'gradient':
+    case 'conic': {
+      if (entry.kind === 'gradient' && entry.stops === undefined) {
+        const from = normalizeHex(entry.from);
+        const to = normalizeHex(entry.to);
+        return from && to ? { kind: 'gradient', from, to } : null;
+      }
+      const stops = normalizeStops(entry.stops);
+      return stops && { kind: entry.kind, stops, angle: finiteOr(entry.angle, 0) };
+    }
+    case 'noise': {
+      const color = normalizeHex(entry.color);
+      return color && { kind: 'noise', color, grain: Math.max(0, Math.min(1, finiteOr(entry.grain, 0.25))) };
+    }
+    case 'stripes': {
+      if (!Array.isArray(entry.colors) || entry.colors.length < 2) return null;
+      const colors = entry.colors.map(normalizeHex);
+      if (colors.some(c => !c)) return null;
+      return {
+        kind: 'stripes',
+        colors,
+        width: Math.max(0.01, finiteOr(entry.width, 0.08)),
+        angle: finiteOr(entry.angle, 45)
+      };
+    }
+    case 'dots': {
+      const color = normalizeHex(entry.color);
+      const dotColor = normalizeHex(entry.dotColor);
+      if (!color || !dotColor) return null;
+      return {
+        kind: 'dots',
+        color,
+        dotColor,
+        spacing: Math.max(0.02, finiteOr(entry.spacing, 0.12)),
+        radius: Math.max(0.05, Math.min(0.5, finiteOr(entry.radius, 0.3))),
+        jitter: Math.max(0, Math.min(1, finiteOr(entry.jitter, 0)))
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+function toHexByte(value) {
+  const byte = Math.max(0, Math.min(255, Math.round(value)));
+  return byte.toString(16).padStart(2, '0');
+}
+
+function rgbToHex(r, g, b) {
+  return `#${toHexByte(r)}${toHexByte(g)}${toHexByte(b)}`;
+}
+
+function requireColors(presets, source) {
+  if (!presets.length) {
+    throw new Error(`No colors found in ${source}`);
+  }
+  return presets;
+}
+
+// JSON: a list of hex strings, { colors: [...] }, or a list of presets as
+// exported by the cassette itself (any preset kind, see normalizePreset).
+export function parseJsonPalette(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Palette file is not valid JSON');
+  }
+  const list = Array.isArray(data) ? data : data && (data.colors || data.palette);
+  if (!Array.isArray(list)) {
+    throw new Error('JSON palette must be a list of colors');
+  }
+
+  const presets = list.map((entry, i) => {
+    if (typeof entry === 'string') {
+      const color = normalizeHex(entry);
+      if (!color) throw new Error(`Color ${i + 1} is not a hex code: ${entry}`);
+      return { kind: 'solid', color };
+    }
+    if (entry && entry.kind) {
+      const preset = normalizePreset(entry);
+      if (!preset) throw new Error(`Color ${i + 1} is not a valid ${entry.kind} preset`);
+      return preset;
+    }
+    const color = entry && normalizeHex(entry.color || entry.hex);
+    if (!color) throw new Error(`Color ${i + 1} is not a hex code`);
+    return { kind: 'solid', color };
+  });
+  return requireColors(presets, 'the JSON palette');
+}
+
+// GIMP palette (.gpl): a "GIMP Palette" header, optional Name:/Columns: lines,
+// '#' comments, then "R G B [name]" per line.
+export function parseGplPalette(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^GIMP Palette/i.test((lines[0] || '').trim())) {
+    throw new Error('Not a GIMP palette (missing "GIMP Palette" header)');
+  }
+  const presets = [];
+  for (const raw of lines.slice(1)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || /^(Name|Columns):/i.test(line)) continue;
+    const match = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+    if (match) {
+      presets.push({ kind: 'solid', color: rgbToHex(+match[1], +match[2], +match[3]) });
+    }
+  }
+  return requireColors(presets, 'the GIMP palette');
+}
+
+// Plain text: any hex codes found, one or more per line. Without a '#' only
+// 6/8-digit codes count, so ordinary words like "bed" aren't read as colors.
+export function parseHexTextPalette(text) {
+  const presets = [];
+  for (const token of text.match(/#[0-9a-f]{3,8}\b|\b[0-9a-f]{6}(?:[0-9a-f]{2})?\b/gi) || []) {
+    const color = normalizeHex(token);
+    if (color) presets.push({ kind: 'solid', color });
+  }
+  return requireColors(presets, 'the text palette');
+}
+
+// Adobe Swatch Exchange (.ase), binary. RGB, CMYK and Gray swatches are read;
+// LAB swatches are skipped since they'd need a color-managed conversion.
+export function parseAsePalette(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 12 || view.getUint32(0) !== 0x41534546) {
+    throw new Error('Not an Adobe Swatch Exchange file');
+  }
+  const blockCount = view.getUint32(8);
+  const presets = [];
+  let offset = 12;
+
+  for (let i = 0; i < blockCount && offset + 6 <= view.byteLength; i++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+    if (type !== 0x0001 || offset > view.byteLength) continue; // groups and their ends
+
+    // Name: UTF-16 length (in code units, with the terminator), then the name
+    const nameLength = view.getUint16(start);
+    let p = start + 2 + nameLength * 2;
+    const model = String.fromCharCode(
+      view.getUint8(p),
+      view.getUint8(p + 1),
+      view.getUint8(p + 2),
+      view.getUint8(p + 3)
+    ).trim();
+    p += 4;
+    const channel = k => view.getFloat32(p + k * 4);
+
+    let color = null;
+    if (model === 'RGB') {
+      color = rgbToHex(channel(0) * 255, channel(1) * 255, channel(2) * 255);
+    } else if (model === 'CMYK') {
+      const k = channel(3);
+      color = rgbToHex(
+        255 * (1 - channel(0)) * (1 - k),
+        255 * (1 - channel(1)) * (1 - k),
+        255 * (1 - channel(2)) * (1 - k)
+      );
+    } else if (model === 'Gray') {
+      color = rgbToHex(channel(0) * 255, channel(0) * 255, channel(0) * 255);
+    }
+    if (color) presets.push({ kind: 'solid', color });
+  }
+  return requireColors(presets, 'the swatch file');
+}
+
+// Picks a parser by file extension (falling back to sniffing the content).
+// `data` is an ArrayBuffer with the file's bytes.
+export function parsePaletteFile(filename, data) {
+  const ext = (/\.([a-z0-9]+)$/i.exec(filename || '') || [])[1];
+  const lower = ext ? ext.toLowerCase() : '';
+  if (lower === 'ase') {
+    return parseAsePalette(data);
+  }
+  const text = new TextDecoder().decode(data);
+  if (lower === 'json') return parseJsonPalette(text);
+  if (lower === 'gpl') return parseGplPalette(text);
+  if (/^GIMP Palette/i.test(text.trim())) return parseGplPalette(text);
+  if (/^\s*[[{]/.test(text)) return parseJsonPalette(text);
+  if (data.byteLength >= 4 && new DataView(data).getUint32(0) === 0x41534546) {
+    return parseAsePalette(data);
+  }
+  return parseHexTextPalette(text);
+}
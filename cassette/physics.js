@@ -0,0 +1,1092 @@
+// physics.js
+//
+// Headless 2D rigid-body world used by the cassette. No DOM, no WebGL:
+// bodies are plain objects, so the engine can run (and be tested) in Node.
+//
+// A body is expected to have:
+//   position        { x, y }   (may be a THREE.Vector3 — only x/y are used)
+//   rotation        number, radians
+//   velocity        { x, y }   (may be a THREE.Vector2 — only x/y are used)
+//   angularVelocity number
+//   localVerts      outline polygon in local coordinates
+//   parts           optional convex pieces for concave/compound shapes;
+//                   without it the outline itself must be convex
+//   boundingRadius, invMass, invInertia, shapeType, speedScale, isDragged
+//   isMagnetAnchored (magnet mode only, see applyMagnetForces)
+
+export const BASE_LINEAR_DAMPING = 0.998;
+export const BASE_ANGULAR_DAMPING = 0.99;
+export const FLUID_LINEAR_VISCOSITY = 1.2; // higher → more drag per second
+export const FLUID_ANGULAR_VISCOSITY = 0.8;
+
+const DEFAULT_WORLD_OPTIONS = {
+  boundsX: 4,
+  boundsY: 2.2,
+  linearDamping: BASE_LINEAR_DAMPING,
+  angularDamping: BASE_ANGULAR_DAMPING,
+  linearViscosity: FLUID_LINEAR_VISCOSITY,
+  angularViscosity: FLUID_ANGULAR_VISCOSITY,
+  restitution: 1.0,
+  // Coulomb friction between touching shapes; this is what turns glancing hits into spin
+  friction: 0.3,
+  // Safety clamp, thin rects can otherwise spin up to unreadable speeds
+  maxAngularVelocity: 4.0,
+  // Continuous collision detection: a body is swept when it moves more than
+  // this share of its thinnest width in one step...
+  ccdThreshold: 0.25,
+  // ...and is stopped this far past the time of impact
+  ccdSlop: 0.002,
+  // Below these speeds a body counts as stopped (see isAtRest)
+  restLinearEps: 0.02,
+  restAngularEps: 0.4,
+  // Extra reach of the broad phase: pairs whose bounding circles are this close
+  // are still handed to SAT, so a push-out earlier in the same contact
+  // iteration can't hide a contact (each iteration runs the broad phase anew).
+  broadPhaseMargin: 0.05,
+  // Walls: 'reflect' mirrors the bounding circle off the walls (exact and
+  // elastic), 'contact' collides the actual outline with friction and torque,
+  // which is what lets shapes rest on the floor and topple.
+  wallContacts: 'reflect',
+  // Sequential-impulse passes over all contacts per step; stacks need several
+  contactIterations: 1,
+  // Force fields (units per second²); zero means off
+  gravity: 0,
+  attraction: 0,
+  centralForce: 0,
+  magnet: false,
+  // Magnet mode: top approach speed and how fast velocity follows the pull (1/s)
+  magnetSpeed: 1.2,
+  magnetResponse: 3
+};
+
+// Physics modes: named presets on top of the defaults (see world.setMode).
+//   drift   — inertial drift in a viscous fluid with elastic walls
+//   gravity — everything falls to the bottom, settles and stacks
+//   attract — shapes are pulled toward world.attractor (e.g. the pointer)
+//   orbit   — a central force keeps shapes circling the middle of the world
+//   magnet  — shapes glide toward the cluster and lock on touching it, packing
+//             tangent to each other like the initial placement
+export const PHYSICS_MODES = {
+  drift: {},
+  gravity: {
+    gravity: 6,
+    restitution: 0.15,
+    friction: 0.6,
+    linearViscosity: 0.2,
+    angularViscosity: 0.4,
+    wallContacts: 'contact',
+    contactIterations: 6
+  },
+  attract: {
+    attraction: 4,
+    restitution: 0.6
+  },
+  orbit: {
+    centralForce: 3,
+    linearDamping: 1,
+    linearViscosity: 0.02,
+    angularViscosity: 0.2
+  },
+  magnet: {
+    magnet: true,
+    restitution: 0,
+    friction: 0.8,
+    linearViscosity: 0,
+    angularViscosity: 2,
+    contactIterations: 3
+  }
+};
+
+// Softening (world units) of the attraction and central forces near their
+// centre, so they stay finite instead of flinging shapes away.
+const FIELD_SOFTENING = 0.5;
+
+// --- Polygon math helpers ---
+export function transformVerts(localVerts, posX, posY, rot) {
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+  const verts = [];
+  for (const v of localVerts) {
+    const x = v.x * cos - v.y * sin + posX;
+    const y = v.x * sin + v.y * cos + posY;
+    verts.push({ x, y });
+  }
+  return verts;
+}
+
+export function getWorldVertices(body) {
+  return transformVerts(
+    body.localVerts,
+    body.position.x,
+    body.position.y,
+    body.rotation
+  );
+}
+
+// Convex pieces used for collisions: the outline itself unless the body is compound.
+export function getBodyParts(body) {
+  return body.parts || [body.localVerts];
+}
+
+export function getWorldParts(body) {
+  return getBodyParts(body).map(part =>
+    transformVerts(part, body.position.x, body.position.y, body.rotation)
+  );
+}
+
+// World-space parts keyed by the transform they were computed for. Within one
+// step a body is transformed once and reused by every pair it takes part in;
+// any change of position/rotation simply produces a fresh entry.
+const worldPartsCache = new WeakMap();
+
+export function getCachedWorldParts(body) {
+  const x = body.position.x;
+  const y = body.position.y;
+  const rot = body.rotation;
+  const parts = getBodyParts(body);
+  const cached = worldPartsCache.get(body);
+  if (
+    cached &&
+    cached.x === x &&
+    cached.y === y &&
+    cached.rot === rot &&
+    cached.localVerts === body.localVerts &&
+    cached.bodyParts === body.parts
+  ) {
+    return cached.worldParts;
+  }
+  const worldParts = parts.map(part => transformVerts(part, x, y, rot));
+  worldPartsCache.set(body, {
+    x,
+    y,
+    rot,
+    localVerts: body.localVerts,
+    bodyParts: body.parts,
+    worldParts
+  });
+  return worldParts;
+}
+
+export function projectOntoAxis(verts, axis) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of verts) {
+    const p = v.x * axis.x + v.y * axis.y;
+    if (p < min) min = p;
+    if (p > max) max = p;
+  }
+  return { min, max };
+}
+
+function overlapIntervals(a, b) {
+  return Math.min(a.max, b.max) - Math.max(a.min, b.min);
+}
+
+// Separating Axis Test for two convex polygons (world-space vertices).
+// Returns { normal, depth } of the minimum overlap, or null if separated.
+export function polygonPolygonSAT(vertsA, vertsB) {
+  let minOverlap = Infinity;
+  let bestAxis = null;
+
+  function checkAxes(verts1) {
+    for (let i = 0; i < verts1.length; i++) {
+      const j = (i + 1) % verts1.length;
+      const edge = {
+        x: verts1[j].x - verts1[i].x,
+        y: verts1[j].y - verts1[i].y
+      };
+      let axis = { x: -edge.y, y: edge.x };
+      const len = Math.hypot(axis.x, axis.y);
+      if (len === 0) continue;
+      axis.x /= len;
+      axis.y /= len;
+
+      const projA = projectOntoAxis(vertsA, axis);
+      const projB = projectOntoAxis(vertsB, axis);
+      const o = overlapIntervals(projA, projB);
+
+      if (o <= 0) {
+        return false;
+      }
+
+      if (o < minOverlap) {
+        minOverlap = o;
+        bestAxis = { x: axis.x, y: axis.y };
+      }
+    }
+    return true;
+  }
+
+  if (!checkAxes(vertsA)) return null;
+  if (!checkAxes(vertsB)) return null;
+
+  return { normal: bestAxis, depth: minOverlap };
+}
+
+// SAT over every pair of convex pieces. Returns the deepest overlap as
+// { normal, depth, vertsA, vertsB } (the pieces involved), or null.
+export function partsSAT(worldPartsA, worldPartsB) {
+  let best = null;
+  for (const vertsA of worldPartsA) {
+    for (const vertsB of worldPartsB) {
+      const result = polygonPolygonSAT(vertsA, vertsB);
+      if (result && (!best || result.depth > best.depth)) {
+        best = { normal: result.normal, depth: result.depth, vertsA, vertsB };
+      }
+    }
+  }
+  return best;
+}
+
+export function normalizeAngle(angle) {
+  const twoPi = Math.PI * 2;
+  return ((angle + Math.PI) % twoPi + twoPi) % twoPi - Math.PI;
+}
+
+// Support radius of a body along a given (normalized) direction.
+// Возвращает расстояние от центра фигуры до самой "дальней" точки по направлению (dirX, dirY),
+// с учётом текущего поворота и позиции.
+export function getSupportRadius(body, dirX, dirY) {
+  const verts = getWorldVertices(body);
+  const centerProj = body.position.x * dirX + body.position.y * dirY;
+  let radius = 0;
+  for (const v of verts) {
+    const p = v.x * dirX + v.y * dirY;
+    const d = Math.abs(p - centerProj);
+    if (d > radius) radius = d;
+  }
+  return radius;
+}
+
+export function clampBodyToBounds(body, bounds) {
+  const r = body.boundingRadius || 0;
+  body.position.x = Math.max(-bounds.x + r, Math.min(bounds.x - r, body.position.x));
+  body.position.y = Math.max(-bounds.y + r, Math.min(bounds.y - r, body.position.y));
+}
+
+// Moves `body` by at most `maxStep` toward `target` until they (almost) touch.
+// Returns false if nothing could be done, true otherwise.
+export function gentlyNudgeBodyToward(body, target, bounds, maxStep = 0.1) {
+  if (!body || !target || body === target) return false;
+  const dx = target.position.x - body.position.x;
+  const dy = target.position.y - body.position.y;
+  const dist = Math.hypot(dx, dy);
+  if (dist < 1e-5) return false;
+
+  const dirX = dx / dist;
+  const dirY = dy / dist;
+
+  const radiusSelf = getSupportRadius(body, dirX, dirY);
+  const radiusTarget = getSupportRadius(target, -dirX, -dirY);
+  const idealDist = radiusSelf + radiusTarget;
+  const desiredDist = idealDist - Math.min(radiusSelf, radiusTarget) * 0.05;
+  const diff = dist - desiredDist;
+  if (diff <= 0) return true;
+
+  const step = Math.min(diff, maxStep);
+  body.position.x += dirX * step;
+  body.position.y += dirY * step;
+  clampBodyToBounds(body, bounds);
+
+  if (body.velocity) {
+    body.velocity.x *= 0.3;
+    body.velocity.y *= 0.3;
+  }
+  return true;
+}
+
+// Moment of inertia of a uniform simple polygon (convex or not) of the given
+// mass, about the local origin (all cassette shapes are built centered on their centroid).
+export function computePolygonInertia(localVerts, mass) {
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < localVerts.length; i++) {
+    const a = localVerts[i];
+    const b = localVerts[(i + 1) % localVerts.length];
+    const cross = a.x * b.y - a.y * b.x;
+    numerator += cross * (a.x * a.x + a.y * a.y + a.x * b.x + a.y * b.y + b.x * b.x + b.y * b.y);
+    denominator += cross;
+  }
+  if (denominator === 0) return 0;
+  return (mass * numerator) / (6 * denominator);
+}
+
+// Creates a plain body for headless use. Mass follows the cassette convention
+// (mass = boundingRadius²).
+export function createBody(props) {
+  let boundingRadius = 0;
+  for (const v of props.localVerts) {
+    boundingRadius = Math.max(boundingRadius, Math.hypot(v.x, v.y));
+  }
+  const mass = boundingRadius * boundingRadius;
+  const inertia = computePolygonInertia(props.localVerts, mass);
+  return {
+    position: { x: 0, y: 0 },
+    rotation: 0,
+    velocity: { x: 0, y: 0 },
+    angularVelocity: 0,
+    boundingRadius,
+    contactRadius: boundingRadius,
+    mass,
+    invMass: 1 / mass,
+    inertia,
+    invInertia: inertia > 0 ? 1 / inertia : 0,
+    speedScale: 1,
+    isDragged: false,
+    ...props
+  };
+}
+
+function averagePoint(verts) {
+  let x = 0;
+  let y = 0;
+  for (const v of verts) {
+    x += v.x;
+    y += v.y;
+  }
+  return { x: x / verts.length, y: y / verts.length };
+}
+
+function isPointInConvex(p, verts) {
+  let sign = 0;
+  for (let i = 0; i < verts.length; i++) {
+    const a = verts[i];
+    const b = verts[(i + 1) % verts.length];
+    const cross = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+    if (cross === 0) continue;
+    const s = cross > 0 ? 1 : -1;
+    if (sign === 0) {
+      sign = s;
+    } else if (s !== sign) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function segmentIntersection(p1, p2, q1, q2) {
+  const rx = p2.x - p1.x;
+  const ry = p2.y - p1.y;
+  const sx = q2.x - q1.x;
+  const sy = q2.y - q1.y;
+  const denom = rx * sy - ry * sx;
+  if (denom === 0) return null;
+  const qpx = q1.x - p1.x;
+  const qpy = q1.y - p1.y;
+  const t = (qpx * sy - qpy * sx) / denom;
+  const u = (qpx * ry - qpy * rx) / denom;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return { x: p1.x + rx * t, y: p1.y + ry * t };
+}
+
+// Contact point of two overlapping convex polygons: the average of the corners
+// of their intersection region (vertices of one inside the other plus edge crossings).
+export function computeContactPoint(vertsA, vertsB) {
+  let sumX = 0;
+  let sumY = 0;
+  let count = 0;
+  const add = p => {
+    sumX += p.x;
+    sumY += p.y;
+    count++;
+  };
+
+  for (const v of vertsA) {
+    if (isPointInConvex(v, vertsB)) add(v);
+  }
+  for (const v of vertsB) {
+    if (isPointInConvex(v, vertsA)) add(v);
+  }
+  for (let i = 0; i < vertsA.length; i++) {
+    const a1 = vertsA[i];
+    const a2 = vertsA[(i + 1) % vertsA.length];
+    for (let j = 0; j < vertsB.length; j++) {
+      const hit = segmentIntersection(a1, a2, vertsB[j], vertsB[(j + 1) % vertsB.length]);
+      if (hit) add(hit);
+    }
+  }
+
+  if (count === 0) return null;
+  return { x: sumX / count, y: sumY / count };
+}
+
+// Rotation and drag for one step. Translation is done separately in
+// translateBody, after continuous collision detection has had its say.
+function dampBody(world, body, dt) {
+  const s = world.settings;
+
+  if (isImmovable(world, body) && !body.isDragged) {
+    body.velocity.x = 0;
+    body.velocity.y = 0;
+    body.angularVelocity = 0;
+    return;
+  }
+
+  if (body.isDragged) {
+    // Position is driven by the pointer, only damp the velocity a bit
+    if (body.velocity) {
+      body.velocity.x *= 0.9;
+      body.velocity.y *= 0.9;
+    }
+    return;
+  }
+
+  // Integrate rotation
+  if (body.angularVelocity) {
+    body.rotation += body.angularVelocity * dt;
+    body.angularVelocity *= s.angularDamping * Math.exp(-s.angularViscosity * dt);
+  }
+
+  const linearDrag = s.linearDamping * Math.exp(-s.linearViscosity * dt);
+  body.velocity.x *= linearDrag;
+  body.velocity.y *= linearDrag;
+}
+
+// Bodies that don't respond to impulses: dragged ones and, in magnet mode,
+// shapes already locked into the cluster.
+function isImmovable(world, body) {
+  return body.isDragged || (world.settings.magnet && body.isMagnetAnchored);
+}
+
+// Gravity, pointer attraction and the central force, as velocity changes.
+function applyFieldForces(world, body, dt) {
+  if (isImmovable(world, body)) return;
+  const s = world.settings;
+
+  if (s.gravity) {
+    body.velocity.y -= s.gravity * dt;
+  }
+
+  if (s.attraction && world.attractor) {
+    const dx = world.attractor.x - body.position.x;
+    const dy = world.attractor.y - body.position.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist > 1e-6) {
+      // Constant pull far away, fading out inside the softening radius
+      const k = (s.attraction * dt) / Math.max(dist, FIELD_SOFTENING);
+      body.velocity.x += dx * k;
+      body.velocity.y += dy * k;
+    }
+  }
+
+  if (s.centralForce) {
+    const r2 = body.position.x * body.position.x + body.position.y * body.position.y;
+    const k = (s.centralForce * dt) / (r2 + FIELD_SOFTENING * FIELD_SOFTENING);
+    body.velocity.x -= body.position.x * k;
+    body.velocity.y -= body.position.y * k;
+  }
+}
+
+// Speed of a circular orbit at the body's radius under the central force.
+function circularOrbitSpeed(world, body) {
+  const r2 = body.position.x * body.position.x + body.position.y * body.position.y;
+  return Math.sqrt((world.settings.centralForce * r2) / (r2 + FIELD_SOFTENING * FIELD_SOFTENING));
+}
+
+// Gap between two bodies along the line through their centers (negative when
+// their outlines overlap along it).
+function getCenterLineGap(a, b) {
+  const dx = b.position.x - a.position.x;
+  const dy = b.position.y - a.position.y;
+  const dist = Math.hypot(dx, dy);
+  if (dist < 1e-6) return { gap: -Infinity, dirX: 0, dirY: 0 };
+  const dirX = dx / dist;
+  const dirY = dy / dist;
+  const gap = dist - getSupportRadius(a, dirX, dirY) - getSupportRadius(b, -dirX, -dirY);
+  return { gap, dirX, dirY };
+}
+
+// Magnet mode: the body nearest the centre becomes the nucleus, every other
+// shape steers toward the closest anchored one and is anchored itself once it
+// touches the cluster (see step()).
+function applyMagnetForces(world, dt) {
+  const s = world.settings;
+  const list = world.bodies;
+  const anchored = list.filter(body => body.isMagnetAnchored);
+
+  if (!anchored.length) {
+    let nucleus = null;
+    let best = Infinity;
+    for (const body of list) {
+      if (body.isDragged) continue;
+      const d = Math.hypot(body.position.x, body.position.y);
+      if (d < best) {
+        best = d;
+        nucleus = body;
+      }
+    }
+    if (!nucleus) return;
+    nucleus.isMagnetAnchored = true;
+    anchored.push(nucleus);
+  }
+
+  const follow = Math.min(1, s.magnetResponse * dt);
+  for (const body of list) {
+    if (isImmovable(world, body)) continue;
+
+    let target = null;
+    let best = Infinity;
+    for (const other of anchored) {
+      const { gap, dirX, dirY } = getCenterLineGap(body, other);
+      if (gap < best) {
+        best = gap;
+        target = { dirX, dirY };
+      }
+    }
+    if (!target) continue;
+
+    // Slow down close to the cluster so shapes settle instead of bouncing
+    const speed = Math.min(s.magnetSpeed, Math.max(best, 0) * 2 + 0.1);
+    body.velocity.x += (target.dirX * speed - body.velocity.x) * follow;
+    body.velocity.y += (target.dirY * speed - body.velocity.y) * follow;
+  }
+}
+
+// Outline-vs-wall contacts (wallContacts: 'contact'). Each wall is handled like
+// a body of infinite mass: push-out, then normal and friction impulses at the
+// contact point. Vertices within a hair of the deepest one are averaged, so a
+// shape lying flat gets its contact in the middle of the face and doesn't spin.
+const WALL_CONTACT_TOLERANCE = 1e-3;
+
+function resolveWallContacts(world, body) {
+  if (body.isDragged) return;
+  const s = world.settings;
+  const immovable = isImmovable(world, body);
+  const bx = world.bounds.x;
+  const by = world.bounds.y;
+  // Inward normal and offset of each wall: n·p + offset >= 0 inside
+  const walls = [
+    [1, 0, bx],
+    [-1, 0, bx],
+    [0, 1, by],
+    [0, -1, by]
+  ];
+
+  for (const [nx, ny, offset] of walls) {
+    let maxDepth = 0;
+    for (const part of getCachedWorldParts(body)) {
+      for (const v of part) {
+        maxDepth = Math.max(maxDepth, -(v.x * nx + v.y * ny + offset));
+      }
+    }
+    if (maxDepth <= 0) continue;
+
+    let cx = 0;
+    let cy = 0;
+    let count = 0;
+    for (const part of getCachedWorldParts(body)) {
+      for (const v of part) {
+        if (-(v.x * nx + v.y * ny + offset) >= maxDepth - WALL_CONTACT_TOLERANCE) {
+          cx += v.x;
+          cy += v.y;
+          count++;
+        }
+      }
+    }
+
+    body.position.x += nx * maxDepth;
+    body.position.y += ny * maxDepth;
+    if (immovable) continue;
+
+    const rx = cx / count + nx * maxDepth - body.position.x;
+    const ry = cy / count + ny * maxDepth - body.position.y;
+    const invMass = body.invMass;
+    const invInertia = body.invInertia || 0;
+    const ang = body.angularVelocity || 0;
+    const vx = body.velocity.x - ang * ry;
+    const vy = body.velocity.y + ang * rx;
+    const velAlongNormal = vx * nx + vy * ny;
+    if (velAlongNormal >= 0) continue;
+
+    const rn = rx * ny - ry * nx;
+    const jn = (-(1 + s.restitution) * velAlongNormal) / (invMass + rn * rn * invInertia);
+    applyImpulse(body, jn * nx, jn * ny, rx, ry, invMass, invInertia);
+
+    let tx = vx - velAlongNormal * nx;
+    let ty = vy - velAlongNormal * ny;
+    const tLen = Math.hypot(tx, ty);
+    if (tLen > 1e-9 && s.friction > 0) {
+      tx /= tLen;
+      ty /= tLen;
+      const rt = rx * ty - ry * tx;
+      let jt = -(vx * tx + vy * ty) / (invMass + rt * rt * invInertia);
+      const maxFriction = s.friction * jn;
+      jt = Math.max(-maxFriction, Math.min(maxFriction, jt));
+      applyImpulse(body, jt * tx, jt * ty, rx, ry, invMass, invInertia);
+    }
+  }
+
+  const maxAngVel = s.maxAngularVelocity;
+  body.angularVelocity = Math.max(-maxAngVel, Math.min(maxAngVel, body.angularVelocity || 0));
+}
+
+// Reflects a coordinate back into [min, max], mirroring the overshoot the way a
+// perfectly elastic wall would (repeatedly, for throws longer than the box).
+// Returns the number of bounces, so the caller can flip the velocity sign.
+function reflectIntoRange(value, min, max) {
+  let bounces = 0;
+  while ((value < min || value > max) && max > min && bounces < 16) {
+    value = value < min ? 2 * min - value : 2 * max - value;
+    bounces++;
+  }
+  if (value < min || value > max) {
+    // Degenerate case (shape wider than the world): pin to the middle
+    value = (min + max) * 0.5;
+  }
+  return { value, bounces };
+}
+
+function translateBody(world, body, dt) {
+  if (body.isDragged) return;
+
+  body.position.x += body.velocity.x * dt;
+  body.position.y += body.velocity.y * dt;
+
+  if (world.settings.wallContacts === 'contact') {
+    resolveWallContacts(world, body);
+    return;
+  }
+
+  // Wall collisions (bounding circle against the current world bounds).
+  // The overshoot is mirrored back, which is the wall's time of impact solved exactly.
+  const r = body.boundingRadius;
+  const bx = world.bounds.x;
+  const by = world.bounds.y;
+
+  const rx = reflectIntoRange(body.position.x, -bx + r, bx - r);
+  body.position.x = rx.value;
+  if (rx.bounces % 2 === 1) {
+    body.velocity.x *= -1;
+  }
+
+  const ry = reflectIntoRange(body.position.y, -by + r, by - r);
+  body.position.y = ry.value;
+  if (ry.bounces % 2 === 1) {
+    body.velocity.y *= -1;
+  }
+}
+
+// Smallest width over the body's convex pieces (each measured across its own
+// edge normals), i.e. how thin the shape is. Cached per parts array.
+const minExtentCache = new WeakMap();
+
+function getMinExtent(body) {
+  const key = body.parts || body.localVerts;
+  const cached = minExtentCache.get(key);
+  if (cached !== undefined) return cached;
+
+  let minWidth = Infinity;
+  for (const verts of getBodyParts(body)) {
+    for (let i = 0; i < verts.length; i++) {
+      const j = (i + 1) % verts.length;
+      const ex = verts[j].x - verts[i].x;
+      const ey = verts[j].y - verts[i].y;
+      const len = Math.hypot(ex, ey);
+      if (len === 0) continue;
+      const proj = projectOntoAxis(verts, { x: -ey / len, y: ex / len });
+      minWidth = Math.min(minWidth, proj.max - proj.min);
+    }
+  }
+  minExtentCache.set(key, minWidth);
+  return minWidth;
+}
+
+// Swept SAT for two convex polygons moving linearly. `vertsA`/`vertsB` are the
+// world vertices at the start of the step, `dx`/`dy` is A's displacement
+// relative to B over the step. Returns the fraction of the step in [0, 1] at
+// which they first touch, or null if they don't meet during the step
+// (or already overlap at the start — that is the narrow phase's job).
+export function sweptPolygonTimeOfImpact(vertsA, vertsB, dx, dy) {
+  let tFirst = -Infinity;
+  let tLast = Infinity;
+
+  function sweepAxes(verts) {
+    for (let i = 0; i < verts.length; i++) {
+      const j = (i + 1) % verts.length;
+      const ex = verts[j].x - verts[i].x;
+      const ey = verts[j].y - verts[i].y;
+      const len = Math.hypot(ex, ey);
+      if (len === 0) continue;
+      const axis = { x: -ey / len, y: ex / len };
+
+      const projA = projectOntoAxis(vertsA, axis);
+      const projB = projectOntoAxis(vertsB, axis);
+      const speed = dx * axis.x + dy * axis.y;
+
+      if (Math.abs(speed) < 1e-12) {
+        // No relative motion along this axis: separated now means separated forever
+        if (projA.max <= projB.min || projB.max <= projA.min) return false;
+        continue;
+      }
+
+      let tEnter;
+      let tExit;
+      if (speed > 0) {
+        tEnter = (projB.min - projA.max) / speed;
+        tExit = (projB.max - projA.min) / speed;
+      } else {
+        tEnter = (projB.max - projA.min) / speed;
+        tExit = (projB.min - projA.max) / speed;
+      }
+      if (tEnter > tFirst) tFirst = tEnter;
+      if (tExit < tLast) tLast = tExit;
+      if (tFirst > tLast) return false;
+    }
+    return true;
+  }
+
+  if (!sweepAxes(vertsA)) return null;
+  if (!sweepAxes(vertsB)) return null;
+  if (tFirst < 0 || tFirst > 1) return null;
+  return tFirst;
+}
+
+// For every body, the fraction of this step it may travel before hitting
+// another body. Only "fast" bodies (moving more than ccdThreshold of their
+// thinnest width per step) are swept; everyone else gets 1. Candidates come
+// from the broad phase run on swept boxes, so only pairs whose paths can
+// cross this step are tested.
+function computeStepFractions(world, dt) {
+  const s = world.settings;
+  const list = world.bodies;
+  const fractions = new Array(list.length).fill(1);
+
+  const displacements = list.map(body =>
+    body.isDragged ? { x: 0, y: 0 } : { x: body.velocity.x * dt, y: body.velocity.y * dt }
+  );
+  const fast = list.map(
+    (body, i) => Math.hypot(displacements[i].x, displacements[i].y) > s.ccdThreshold * getMinExtent(body)
+  );
+  if (!fast.includes(true)) return fractions;
+
+  for (const [i, j] of findCandidatePairs(list, 0, displacements)) {
+    if (!fast[i] && !fast[j]) continue;
+    const a = list[i];
+    const b = list[j];
+    const relX = displacements[i].x - displacements[j].x;
+    const relY = displacements[i].y - displacements[j].y;
+    const relTravel = Math.hypot(relX, relY);
+    if (relTravel === 0) continue;
+
+    // Swept bounding circles must meet for the polygons to meet
+    const reach = a.boundingRadius + b.boundingRadius + relTravel;
+    const cx = b.position.x - a.position.x;
+    const cy = b.position.y - a.position.y;
+    if (cx * cx + cy * cy > reach * reach) continue;
+
+    let toi = null;
+    for (const vertsA of getCachedWorldParts(a)) {
+      for (const vertsB of getCachedWorldParts(b)) {
+        const t = sweptPolygonTimeOfImpact(vertsA, vertsB, relX, relY);
+        if (t !== null && (toi === null || t < toi)) toi = t;
+      }
+    }
+    if (toi === null) continue;
+
+    // Stop just past the contact so the narrow phase sees a tiny overlap
+    // and resolves the impact in this same step.
+    const fraction = Math.min(1, toi + s.ccdSlop / relTravel);
+    fractions[i] = Math.min(fractions[i], fraction);
+    fractions[j] = Math.min(fractions[j], fraction);
+  }
+  return fractions;
+}
+
+// Broad phase: sweep-and-prune along x.
+// Returns index pairs [i, j] (i < j) whose bounding circles are within `margin`
+// of each other, sorted in the same order as a plain all-pairs loop would visit
+// them — pair resolution moves bodies, so the order matters for reproducibility.
+// With `displacements` (each body's { x, y } travel over a step) every body
+// covers the box swept by its bounding circle instead, and pairs whose swept
+// boxes overlap are returned.
+export function findCandidatePairs(list, margin = 0, displacements = null) {
+  const n = list.length;
+  const order = new Array(n);
+  const minX = new Array(n);
+  const maxX = new Array(n);
+  const minY = new Array(n);
+  const maxY = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const body = list[i];
+    const r = (body.boundingRadius || 0) + margin;
+    const d = displacements ? displacements[i] : null;
+    const x0 = body.position.x;
+    const y0 = body.position.y;
+    const x1 = d ? x0 + d.x : x0;
+    const y1 = d ? y0 + d.y : y0;
+    order[i] = i;
+    minX[i] = Math.min(x0, x1) - r;
+    maxX[i] = Math.max(x0, x1) + r;
+    minY[i] = Math.min(y0, y1) - r;
+    maxY[i] = Math.max(y0, y1) + r;
+  }
+  order.sort((i, j) => minX[i] - minX[j]);
+
+  const pairs = [];
+  for (let oi = 0; oi < n; oi++) {
+    const i = order[oi];
+    const a = list[i];
+    for (let oj = oi + 1; oj < n; oj++) {
+      const j = order[oj];
+      if (minX[j] > maxX[i]) break;
+      if (minY[j] > maxY[i] || minY[i] > maxY[j]) continue;
+      if (!displacements) {
+        const b = list[j];
+        const reach = (a.boundingRadius || 0) + (b.boundingRadius || 0) + margin;
+        const dx = b.position.x - a.position.x;
+        const dy = b.position.y - a.position.y;
+        if (dx * dx + dy * dy > reach * reach) continue;
+      }
+      pairs.push(i < j ? [i, j] : [j, i]);
+    }
+  }
+  pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+  return pairs;
+}
+
+// Resolves one body pair. Returns true if the pair was moving toward each
+// other at the contact point and an impulse was applied (that is what counts
+// as a "collision").
+function resolvePair(world, a, b) {
+  const s = world.settings;
+  const result = partsSAT(getCachedWorldParts(a), getCachedWorldParts(b));
+  if (!result) return false;
+
+  const { normal, depth, vertsA, vertsB } = result;
+
+  // Make sure the normal points from A to B. For compound bodies the
+  // overlapping pieces decide, not the body centers.
+  const centerA = a.parts ? averagePoint(vertsA) : a.position;
+  const centerB = b.parts ? averagePoint(vertsB) : b.position;
+  const centerDirX = centerB.x - centerA.x;
+  const centerDirY = centerB.y - centerA.y;
+  if (centerDirX * normal.x + centerDirY * normal.y < 0) {
+    normal.x *= -1;
+    normal.y *= -1;
+  }
+
+  // Dragged (and anchored) bodies behave as if infinitely heavy
+  const immovableA = isImmovable(world, a);
+  const immovableB = isImmovable(world, b);
+  const invMassA = immovableA ? 0 : a.invMass;
+  const invMassB = immovableB ? 0 : b.invMass;
+  const invInertiaA = immovableA ? 0 : a.invInertia || 0;
+  const invInertiaB = immovableB ? 0 : b.invInertia || 0;
+  const invMassSum = invMassA + invMassB;
+  if (invMassSum === 0) {
+    return false;
+  }
+
+  // Contact point is measured before the push-out, while the shapes still overlap
+  const contact = computeContactPoint(vertsA, vertsB) || {
+    x: (a.position.x + b.position.x) * 0.5,
+    y: (a.position.y + b.position.y) * 0.5
+  };
+
+  // Separate by mass: light bodies move more, heavy ones less
+  const correctionA = depth * (invMassA / invMassSum);
+  const correctionB = depth * (invMassB / invMassSum);
+  a.position.x -= normal.x * correctionA;
+  a.position.y -= normal.y * correctionA;
+  b.position.x += normal.x * correctionB;
+  b.position.y += normal.y * correctionB;
+
+  // Lever arms from each center to the contact point
+  const rAx = contact.x - a.position.x;
+  const rAy = contact.y - a.position.y;
+  const rBx = contact.x - b.position.x;
+  const rBy = contact.y - b.position.y;
+
+  // Relative velocity at the contact point (v + ω × r)
+  const angA = a.angularVelocity || 0;
+  const angB = b.angularVelocity || 0;
+  const rvx = (b.velocity.x - angB * rBy) - (a.velocity.x - angA * rAy);
+  const rvy = (b.velocity.y + angB * rBx) - (a.velocity.y + angA * rAx);
+  const velAlongNormal = rvx * normal.x + rvy * normal.y;
+  if (velAlongNormal >= 0) {
+    return false;
+  }
+
+  const rAn = rAx * normal.y - rAy * normal.x;
+  const rBn = rBx * normal.y - rBy * normal.x;
+  const normalMass =
+    invMassSum + rAn * rAn * invInertiaA + rBn * rBn * invInertiaB;
+  const jn = -(1 + s.restitution) * velAlongNormal / normalMass;
+
+  applyImpulse(a, -jn * normal.x, -jn * normal.y, rAx, rAy, invMassA, invInertiaA);
+  applyImpulse(b, jn * normal.x, jn * normal.y, rBx, rBy, invMassB, invInertiaB);
+
+  // Friction along the contact tangent, limited by the Coulomb cone
+  let tx = rvx - velAlongNormal * normal.x;
+  let ty = rvy - velAlongNormal * normal.y;
+  const tLen = Math.hypot(tx, ty);
+  if (tLen > 1e-9 && s.friction > 0) {
+    tx /= tLen;
+    ty /= tLen;
+    const rAt = rAx * ty - rAy * tx;
+    const rBt = rBx * ty - rBy * tx;
+    const tangentMass =
+      invMassSum + rAt * rAt * invInertiaA + rBt * rBt * invInertiaB;
+    const velAlongTangent = rvx * tx + rvy * ty;
+    let jt = -velAlongTangent / tangentMass;
+    const maxFriction = s.friction * jn;
+    jt = Math.max(-maxFriction, Math.min(maxFriction, jt));
+
+    applyImpulse(a, -jt * tx, -jt * ty, rAx, rAy, invMassA, invInertiaA);
+    applyImpulse(b, jt * tx, jt * ty, rBx, rBy, invMassB, invInertiaB);
+  }
+
+  const maxAngVel = s.maxAngularVelocity;
+  a.angularVelocity = Math.max(-maxAngVel, Math.min(maxAngVel, a.angularVelocity || 0));
+  b.angularVelocity = Math.max(-maxAngVel, Math.min(maxAngVel, b.angularVelocity || 0));
+  return true;
+}
+
+// A free shape that hits the magnet cluster joins it where it touched.
+function anchorOnContact(world, a, b) {
+  for (const [body, other] of [[a, b], [b, a]]) {
+    if (body.isMagnetAnchored || body.isDragged || !other.isMagnetAnchored) continue;
+    body.isMagnetAnchored = true;
+    body.velocity.x = 0;
+    body.velocity.y = 0;
+    body.angularVelocity = 0;
+  }
+}
+
+function applyImpulse(body, ix, iy, rx, ry, invMass, invInertia) {
+  body.velocity.x += ix * invMass;
+  body.velocity.y += iy * invMass;
+  body.angularVelocity = (body.angularVelocity || 0) + (rx * iy - ry * ix) * invInertia;
+}
+
+// Creates a world. `options` override DEFAULT_WORLD_OPTIONS; `onCollision(a, b)`
+// is called for every pair that received a collision impulse during step().
+export function createWorld(options = {}) {
+  const { onCollision = null, mode = 'drift', ...rest } = options;
+  // Explicit options win over mode presets, whichever mode is active
+  const baseSettings = { ...DEFAULT_WORLD_OPTIONS, ...rest };
+  const settings = {};
+
+  const world = {
+    bodies: [],
+    bounds: { x: baseSettings.boundsX, y: baseSettings.boundsY },
+    settings,
+    mode: null,
+    // Target of the attraction force, { x, y } or null
+    attractor: null,
+    onCollision,
+
+    // Switches to one of PHYSICS_MODES. Entering orbit mode puts every shape
+    // on a circular orbit; magnet anchors are always released.
+    setMode(name) {
+      const preset = PHYSICS_MODES[name];
+      if (!preset) {
+        throw new Error(`Unknown physics mode: ${name}`);
+      }
+      for (const key of Object.keys(settings)) {
+        delete settings[key];
+      }
+      Object.assign(settings, DEFAULT_WORLD_OPTIONS, preset, rest);
+      world.mode = name;
+      world.releaseAnchors();
+
+      if (settings.centralForce) {
+        for (const body of world.bodies) {
+          if (body.isDragged) continue;
+          const r = Math.hypot(body.position.x, body.position.y);
+          if (r < 1e-6) continue;
+          const speed = circularOrbitSpeed(world, body);
+          // Counter-clockwise: tangent is the radius turned by +90°
+          body.velocity.x = (-body.position.y / r) * speed;
+          body.velocity.y = (body.position.x / r) * speed;
+        }
+      }
+    },
+
+    releaseAnchors() {
+      for (const body of world.bodies) {
+        body.isMagnetAnchored = false;
+      }
+    },
+
+    addBody(body) {
+      world.bodies.push(body);
+      return body;
+    },
+
+    removeBody(body) {
+      const index = world.bodies.indexOf(body);
+      if (index !== -1) {
+        world.bodies.splice(index, 1);
+      }
+    },
+
+    clear() {
+      world.bodies.length = 0;
+    },
+
+    setBounds(x, y) {
+      world.bounds.x = x;
+      world.bounds.y = y;
+    },
+
+    // Advances the simulation by dt seconds. Fast bodies are swept against
+    // each other (and walls are solved exactly), so they don't tunnel even
+    // when dt is large.
+    step(dt) {
+      const list = world.bodies;
+      if (settings.magnet) {
+        applyMagnetForces(world, dt);
+      }
+      for (const body of list) {
+        applyFieldForces(world, body, dt);
+        dampBody(world, body, dt);
+      }
+
+      const fractions = computeStepFractions(world, dt);
+      for (let i = 0; i < list.length; i++) {
+        translateBody(world, list[i], dt * fractions[i]);
+      }
+
+      // Body–body collisions: broad phase, then SAT for convex polygons
+      // Further iterations let impulses travel through stacks and clusters;
+      // only the first one reports collisions. Push-outs move bodies, so the
+      // candidates are found again for every iteration.
+      const iterations = Math.max(1, settings.contactIterations);
+      for (let iteration = 0; iteration < iterations; iteration++) {
+        for (const [i, j] of findCandidatePairs(list, settings.broadPhaseMargin)) {
+          const a = list[i];
+          const b = list[j];
+          if (!resolvePair(world, a, b) || iteration > 0) continue;
+          if (settings.magnet) {
+            anchorOnContact(world, a, b);
+          }
+          if (world.onCollision) {
+            world.onCollision(a, b);
+          }
+        }
+        if (settings.wallContacts === 'contact') {
+          for (const body of list) {
+            resolveWallContacts(world, body);
+          }
+        }
+      }
+    },
+
+    // True when nothing moves any more (a dragged body always counts as moving).
+    isAtRest() {
+      for (const body of world.bodies) {
+        if (body.isDragged) return false;
+        const speed = Math.hypot(body.velocity.x, body.velocity.y);
+        const angSpeed = Math.abs(body.angularVelocity || 0);
+        if (speed > settings.restLinearEps || angSpeed > settings.restAngularEps) {
+          return false;
+        }
+      }
+      return true;
+    }
+  };
+
+  world.setMode(mode);
+  return world;
+}
@@ -0,0 +1,113 @@
+// shapes.js
+//
+// Pure geometry for cassette primitives (no THREE, no DOM).
+// Every builder returns { localVerts, parts }:
+//   localVerts — the outline (may be concave for compound shapes), centered on
+//                the shape's area centroid so rotation and inertia work around (0, 0);
+//   parts      — convex pieces covering the shape, used by SAT. Convex shapes
+//                have a single part equal to the outline.
+
+function polygonArea(verts) {
+  let sum = 0;
+  for (let i = 0; i < verts.length; i++) {
+    const a = verts[i];
+    const b = verts[(i + 1) % verts.length];
+    sum += a.x * b.y - a.y * b.x;
+  }
+  return sum * 0.5;
+}
+
+function polygonCentroid(verts) {
+  let cx = 0;
+  let cy = 0;
+  let area2 = 0;
+  for (let i = 0; i < verts.length; i++) {
+    const a = verts[i];
+    const b = verts[(i + 1) % verts.length];
+    const cross = a.x * b.y - a.y * b.x;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+    area2 += cross;
+  }
+  if (area2 === 0) return { x: 0, y: 0 };
+  return { x: cx / (3 * area2), y: cy / (3 * area2) };
+}
+
+// Shifts outline and parts so the outline's centroid lands on the origin.
+function centered(localVerts, parts) {
+  const c = polygonCentroid(localVerts);
+  const shift = verts => verts.map(v => ({ x: v.x - c.x, y: v.y - c.y }));
+  return { localVerts: shift(localVerts), parts: parts.map(shift) };
+}
+
+// Counter-clockwise order keeps SAT edge normals and the mesh winding consistent.
+function ensureCounterClockwise(verts) {
+  return polygonArea(verts) < 0 ? verts.slice().reverse() : verts;
+}
+
+export function regularPolygon(sides, radius) {
+  const n = Math.max(3, Math.floor(sides));
+  const verts = [];
+  for (let i = 0; i < n; i++) {
+    // Первая вершина смотрит вверх, как у треугольника
+    const angle = Math.PI / 2 + (i / n) * Math.PI * 2;
+    verts.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+  }
+  return { localVerts: verts, parts: [verts] };
+}
+
+// Half-disc: convex, so a single part.
+export function halfCircle(radius, segments = 16) {
+  const verts = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = (i / segments) * Math.PI;
+    verts.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+  }
+  return centered(verts, [verts]);
+}
+
+// Ring segment between innerRadius and outerRadius spanning `sweep` radians.
+// Concave for any sweep, so it is split into convex quads along the arc.
+export function arc(outerRadius, innerRadius, sweep = Math.PI, segments = 12) {
+  const outer = [];
+  const inner = [];
+  const start = Math.PI / 2 - sweep / 2;
+  for (let i = 0; i <= segments; i++) {
+    const angle = start + (i / segments) * sweep;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    outer.push({ x: cos * outerRadius, y: sin * outerRadius });
+    inner.push({ x: cos * innerRadius, y: sin * innerRadius });
+  }
+
+  const parts = [];
+  for (let i = 0; i < segments; i++) {
+    parts.push(ensureCounterClockwise([inner[i], outer[i], outer[i + 1], inner[i + 1]]));
+  }
+  const outline = ensureCounterClockwise(outer.concat(inner.slice().reverse()));
+  return centered(outline, parts);
+}
+
+// Star with `points` spikes: a convex inner polygon plus one triangle per spike.
+export function star(points, outerRadius, innerRadius) {
+  const n = Math.max(3, Math.floor(points));
+  const outline = [];
+  const outer = [];
+  const inner = [];
+  for (let i = 0; i < n; i++) {
+    const aOuter = Math.PI / 2 + (i / n) * Math.PI * 2;
+    const aInner = aOuter + Math.PI / n;
+    const o = { x: Math.cos(aOuter) * outerRadius, y: Math.sin(aOuter) * outerRadius };
+    const p = { x: Math.cos(aInner) * innerRadius, y: Math.sin(aInner) * innerRadius };
+    outer.push(o);
+    inner.push(p);
+    outline.push(o, p);
+  }
+
+  const parts = [inner];
+  for (let i = 0; i < n; i++) {
+    const prevInner = inner[(i - 1 + n) % n];
+    parts.push(ensureCounterClockwise([prevInner, outer[i], inner[i]]));
+  }
+  return { localVerts: outline, parts };
+}
@@ -0,0 +1,99 @@
+// snapshot.js
+//
+// Scene snapshot format (no THREE, no DOM). A snapshot stores everything needed
+// to rebuild the bodies exactly as they are right now: geometry, transform,
+// motion and color. Unlike a seed it survives dragging, spinning and color swaps.
+// Bodies parked by a viewport reflow (see layout.js) are stored as well, marked
+// `parked` and with the u, v planReflow places them by, so a restore parks them
+// again instead of losing them.
+
+import { normalizePreset } from './palettes.js';
+import { PHYSICS_MODES } from './physics.js';
+
+export const SCENE_SNAPSHOT_VERSION = 1;
+export const SCENE_SNAPSHOT_FORMAT = 'thequotes-cassette-scene';
+
+export function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export function isPoint(value) {
+  return !!value && isFiniteNumber(value.x) && isFiniteNumber(value.y);
+}
+
+export function isColorPreset(value) {
+  return normalizePreset(value) !== null;
+}
+
+// The snapshot's `bodies`: `serializeBody(body)` of every body in the world,
+// then of every parked item ({ body, u, v }) with its u, v and `parked: true`.
+export function serializeSceneBodies(bodies, parked, serializeBody) {
+  return bodies
+    .map(body => serializeBody(body))
+    .concat(parked.map(({ body, u, v }) => ({ ...serializeBody(body), parked: true, u, v })));
+}
+
+// Throws with a readable message if the snapshot cannot be restored.
+// `currentPalette` is what colorIndex refers to when the snapshot has no palette.
+export function validateSceneSnapshot(snapshot, currentPalette) {
+  if (!snapshot || snapshot.format !== SCENE_SNAPSHOT_FORMAT) {
+    throw new Error('Not a cassette scene snapshot');
+  }
+  if (snapshot.version !== SCENE_SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported scene snapshot version: ${snapshot.version}`);
+  }
+  if (!Array.isArray(snapshot.bodies)) {
+    throw new Error('Scene snapshot has no bodies array');
+  }
+  if (snapshot.palette !== undefined && (!Array.isArray(snapshot.palette) || snapshot.palette.length === 0)) {
+    throw new Error('Scene snapshot palette must be a non-empty array');
+  }
+  if (snapshot.palette) {
+    snapshot.palette.forEach((entry, i) => {
+      if (!isColorPreset(entry)) {
+        throw new Error(`Palette entry ${i}: invalid color preset`);
+      }
+    });
+  }
+  if (snapshot.physicsMode !== undefined && !PHYSICS_MODES[snapshot.physicsMode]) {
+    throw new Error(`Unknown physics mode: ${snapshot.physicsMode}`);
+  }
+  // Older snapshots have no palette of their own and refer to the current one
+  const palette = snapshot.palette || currentPalette;
+  snapshot.bodies.forEach((entry, i) => {
+    if (!entry || typeof entry.shapeType !== 'string') {
+      throw new Error(`Body ${i}: missing shapeType`);
+    }
+    if (!Array.isArray(entry.localVerts) || entry.localVerts.length < 3 || !entry.localVerts.every(isPoint)) {
+      throw new Error(`Body ${i}: localVerts must be at least 3 points`);
+    }
+    if (
+      entry.parts !== undefined &&
+      (!Array.isArray(entry.parts) ||
+        !entry.parts.every(part => Array.isArray(part) && part.length >= 3 && part.every(isPoint)))
+    ) {
+      throw new Error(`Body ${i}: parts must be polygons of at least 3 points`);
+    }
+    if (!isPoint(entry.position) || !isPoint(entry.velocity)) {
+      throw new Error(`Body ${i}: invalid position or velocity`);
+    }
+    if (!isFiniteNumber(entry.rotation) || !isFiniteNumber(entry.angularVelocity)) {
+      throw new Error(`Body ${i}: invalid rotation or angularVelocity`);
+    }
+    if (!Number.isInteger(entry.colorIndex) || !palette[entry.colorIndex]) {
+      throw new Error(`Body ${i}: unknown colorIndex ${entry.colorIndex}`);
+    }
+    if (entry.colorPreset !== undefined && !isColorPreset(entry.colorPreset)) {
+      throw new Error(`Body ${i}: invalid colorPreset`);
+    }
+    if (entry.fillSeed !== undefined && typeof entry.fillSeed !== 'string') {
+      throw new Error(`Body ${i}: fillSeed must be a string`);
+    }
+    if (entry.layoutScale !== undefined && !(isFiniteNumber(entry.layoutScale) && entry.layoutScale > 0)) {
+      throw new Error(`Body ${i}: layoutScale must be a positive number`);
+    }
+    if (entry.parked && !(isFiniteNumber(entry.u) && isFiniteNumber(entry.v))) {
+      throw new Error(`Body ${i}: a parked body needs u and v`);
+    }
+  });
+}
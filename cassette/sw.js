@@ -0,0 +1,79 @@
+// sw.js
+//
+// Service worker that makes the cassette work offline. The page, its modules,
+// the vendored Three.js build and the icons are cached on install; after that
+// same-origin requests are answered from the cache first and refreshed in the
+// background, so the next visit picks up a new deploy.
+//
+// Bump CACHE_VERSION when the list below changes (or to force a clean cache).
+
+const CACHE_VERSION = 'cassette-v4';
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './main.js',
+  './physics.js',
+  './shapes.js',
+  './zip.js',
+  './palettes.js',
+  './gallery.js',
+  './layout.js',
+  './snapshot.js',
+  './vendor/three.module.js',
+  './manifest.webmanifest',
+  './icons/icon-192.png',
+  './icons/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches
+      .open(CACHE_VERSION)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  // Старые версии кеша больше не нужны
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_VERSION).then(async cache => {
+      // ?seed=… and ?series=… only matter to the page script, not to the cache
+      const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+      const refresh = fetch(request)
+        .then(response => {
+          if (response.ok) {
+            cache.put(request, response.clone());
+          }
+          return response;
+        })
+        .catch(() => null);
+
+      if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+      }
+      const response = await refresh;
+      if (response) return response;
+      // Offline and never cached: a navigation still gets the page itself
+      if (request.mode === 'navigate') {
+        const page = await cache.match('./index.html');
+        if (page) return page;
+      }
+      return Response.error();
+    })
+  );
+});
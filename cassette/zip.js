@@ -0,0 +1,100 @@
+// zip.js
+//
+// Minimal ZIP writer (no THREE, no DOM): files are stored uncompressed, which is
+// all the frame-sequence export needs — PNG frames are already compressed.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// DOS date/time fields of the archive entries.
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// files: [{ name, data: Uint8Array }] → Uint8Array with the whole archive.
+export function createStoredZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const entries = files.map(file => ({
+    name: encoder.encode(file.name),
+    data: file.data,
+    crc: crc32(file.data)
+  }));
+
+  let localSize = 0;
+  let centralSize = 0;
+  for (const entry of entries) {
+    localSize += 30 + entry.name.length + entry.data.length;
+    centralSize += 46 + entry.name.length;
+  }
+
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+
+  // Local headers, each followed by its data
+  for (const entry of entries) {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true); // version needed
+    view.setUint16(offset + 6, 0, true); // flags
+    view.setUint16(offset + 8, 0, true); // method: stored
+    view.setUint16(offset + 10, time, true);
+    view.setUint16(offset + 12, day, true);
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    out.set(entry.name, offset + 30);
+    out.set(entry.data, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.data.length;
+  }
+
+  // Central directory
+  const centralOffset = offset;
+  for (const entry of entries) {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    view.setUint16(offset + 6, 20, true); // version needed
+    view.setUint16(offset + 8, 0, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, time, true);
+    view.setUint16(offset + 14, day, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.name.length, true);
+    // extra, comment, disk, internal and external attributes stay zero
+    view.setUint32(offset + 42, entry.offset, true);
+    out.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  }
+
+  // End of central directory
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return out;
+}
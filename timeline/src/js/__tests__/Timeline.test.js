@@ -1,4 +1,5 @@
 import { Timeline } from "../timeline/Timeline"
+import { HTMLMediaPlayer } from "../media/Playback"
 
 const TEST_CONFIG = {
     "title": {
@@ -84,4 +85,157 @@ test("test remove", async() => {
     timeline.removeId('vimeo')
     expect(timeline.config.events.length).toBe(1)
     expect(timeline.config.event_dict['vimeo']).toBeFalsy()
-})
\ No newline at end of file
+})
+test("slide layout hints come from slide data and slide_layouts", async() => {
+    let config = JSON.parse(JSON.stringify(TEST_CONFIG))
+    config.events[0].timenav_height_percentage = 40
+    config.events[0].zoom = 3
+    config.events[1].timenav_height_percentage = "60"
+    let timeline = await new Promise((resolve) => {
+        let tl = new Timeline('timeline-embed', config, {
+            slide_layouts: { vimeo: { zoom: 5 } }
+        })
+        tl.on('dataloaded', () => resolve(tl))
+    })
+    expect(timeline._getSlideLayout('youtube-videos')).toEqual({ timenav_height_percentage: 40, zoom: 3 })
+    expect(timeline._getSlideLayout('vimeo')).toEqual({ timenav_height_percentage: 60, zoom: 5 })
+    expect(timeline._getSlideLayout(timeline.config.title.unique_id)).toEqual({})
+    expect(timeline._getSlideLayout('no-such-slide')).toEqual({})
+})
+
+test("timenav height follows the current slide's hint", async() => {
+    let config = JSON.parse(JSON.stringify(TEST_CONFIG))
+    config.events[0].timenav_height_percentage = 40
+    let timeline = await new Promise((resolve) => {
+        let tl = new Timeline('timeline-embed', config, {
+            timenav_height_percentage: 25,
+            timenav_height_min: 0,
+            marker_padding: 0
+        })
+        tl.on('dataloaded', () => resolve(tl))
+    })
+    timeline.options.height = 1000
+    timeline.current_id = timeline.config.title.unique_id
+    expect(timeline._calculateTimeNavHeight()).toBe(250)
+    timeline.current_id = 'youtube-videos'
+    expect(timeline._calculateTimeNavHeight()).toBe(400)
+    timeline.current_id = 'vimeo'
+    expect(timeline._calculateTimeNavHeight()).toBe(250)
+})
+
+test("changing slides applies the slide's zoom hint", async() => {
+    let config = JSON.parse(JSON.stringify(TEST_CONFIG))
+    config.events[0].zoom = 3
+    let timeline = await new Promise((resolve) => {
+        let tl = new Timeline('timeline-embed', config)
+        tl.on('dataloaded', () => resolve(tl))
+    })
+    let zooms = []
+    timeline.setZoom = (level) => zooms.push(level)
+    timeline.goToId('youtube-videos')
+    expect(zooms).toEqual([3])
+    timeline.goToId('vimeo')
+    expect(zooms).toEqual([3])
+})
+
+test("changing slides pauses playing media", async() => {
+    let timeline = await new Promise((resolve) => {
+        let tl = new Timeline('timeline-embed', TEST_CONFIG)
+        tl.on('dataloaded', () => resolve(tl))
+    })
+    let audio = document.createElement('audio')
+    audio.pause = jest.fn(() => audio.dispatchEvent(new Event('pause')))
+    let player = new HTMLMediaPlayer(audio)
+    player.unique_id = 'youtube-videos'
+    timeline._storyslider.fire('player_added', { player: player })
+
+    let fired = []
+    timeline.on('play', (e) => fired.push(['play', e.unique_id, e.media_type]))
+    timeline.on('pause', (e) => fired.push(['pause', e.unique_id, e.media_type]))
+
+    audio.dispatchEvent(new Event('play'))
+    expect(timeline.isMediaPlaying()).toBe(true)
+
+    timeline.goToId('vimeo')
+    expect(audio.pause).toHaveBeenCalled()
+    expect(timeline.isMediaPlaying()).toBe(false)
+    expect(fired).toEqual([['play', 'youtube-videos', 'audio'], ['pause', 'youtube-videos', 'audio']])
+})
+
+describe("collapsible timenav", () => {
+    const COLLAPSE_OPTIONS = {
+        timenav_collapsible: true,
+        timenav_height_percentage: 50,
+        timenav_collapsed_height_percentage: 10,
+        timenav_height_min: 0,
+        marker_padding: 0
+    }
+
+    function makeTimeline(options) {
+        return new Promise((resolve) => {
+            let tl = new Timeline('timeline-embed', TEST_CONFIG, options)
+            tl.on('dataloaded', () => resolve(tl))
+        })
+    }
+
+    beforeEach(() => {
+        window.localStorage.clear()
+    })
+
+    test("no collapse button unless the timeline is collapsible", async() => {
+        let timeline = await makeTimeline({})
+        expect(timeline._menubar._el.button_collapse).toBeNull()
+        expect(document.querySelector('.tl-menubar-button-collapse')).toBeNull()
+    })
+
+    test("button toggles the timenav and fires collapse/expand", async() => {
+        let timeline = await makeTimeline(COLLAPSE_OPTIONS)
+        let fired = []
+        timeline.on('collapse', () => fired.push('collapse'))
+        timeline.on('expand', () => fired.push('expand'))
+
+        let button = document.querySelector('.tl-menubar-button-collapse')
+        expect(button.getAttribute('aria-expanded')).toBe('true')
+
+        button.click()
+        expect(timeline.isTimeNavCollapsed()).toBe(true)
+        expect(button.getAttribute('aria-expanded')).toBe('false')
+        expect(button.getAttribute('aria-label')).toBe('Expand timeline navigation')
+
+        button.click()
+        expect(timeline.isTimeNavCollapsed()).toBe(false)
+        expect(fired).toEqual(['collapse', 'expand'])
+
+        timeline.expandTimeNav()
+        expect(fired).toEqual(['collapse', 'expand'])
+    })
+
+    test("collapsed height overrides the slide's height", async() => {
+        let timeline = await makeTimeline(COLLAPSE_OPTIONS)
+        timeline.options.height = 1000
+        expect(timeline._calculateTimeNavHeight()).toBe(500)
+        timeline.collapseTimeNav()
+        timeline.options.height = 1000
+        expect(timeline._calculateTimeNavHeight()).toBe(100)
+    })
+
+    test("collapsed state is remembered across reloads", async() => {
+        let timeline = await makeTimeline(COLLAPSE_OPTIONS)
+        timeline.collapseTimeNav()
+        expect(window.localStorage.getItem('tl-timenav-collapsed')).toBe('true')
+
+        document.body.innerHTML = '<div id="timeline-embed"></div>'
+        let reloaded = await makeTimeline(COLLAPSE_OPTIONS)
+        expect(reloaded.isTimeNavCollapsed()).toBe(true)
+        expect(document.querySelector('.tl-menubar-button-collapse').getAttribute('aria-expanded')).toBe('false')
+
+        document.body.innerHTML = '<div id="timeline-embed"></div>'
+        let forgetful = await makeTimeline(Object.assign({}, COLLAPSE_OPTIONS, { timenav_collapse_storage_key: null }))
+        expect(forgetful.isTimeNavCollapsed()).toBe(false)
+    })
+
+    test("timenav_collapsed sets the initial state", async() => {
+        let timeline = await makeTimeline(Object.assign({}, COLLAPSE_OPTIONS, { timenav_collapsed: true }))
+        expect(timeline.isTimeNavCollapsed()).toBe(true)
+    })
+})
@@ -361,6 +361,12 @@ class Media {
 
     }
 
+    // Media types with something that plays hand it over here, so that the
+    // timeline can make sure only one thing plays at a time (see Playback.js)
+    _addPlayer(player) {
+        this.fire("player_added", { player: player });
+    }
+
     domCreate(...params) {
         return DOM.create(...params)
     }
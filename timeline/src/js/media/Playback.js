@@ -0,0 +1,427 @@
+/*	Playback
+	Keeps track of everything in a timeline that can play sound or video,
+	so that only one of them plays at a time. Each embed is wrapped in a
+	Player, which fires "play" and "pause" whatever the underlying API is;
+	the PlaybackManager listens to all of them.
+================================================== */
+
+import Events from "../core/Events"
+import { classMixin, trace } from "../core/Util"
+import { loadJS } from "../core/Load"
+
+const SOUNDCLOUD_API = "https://w.soundcloud.com/player/api.js";
+const YOUTUBE_API = "https://www.youtube.com/iframe_api";
+const VIMEO_ORIGIN = "https://player.vimeo.com";
+const YOUTUBE_EMBED = /youtube(-nocookie)?\.com\/embed\//;
+
+// The YouTube API can only control embeds which ask for it
+function withYouTubeAPI(src) {
+    if (/[?&]enablejsapi=1/.test(src)) {
+        return src;
+    }
+    return src + (src.indexOf("?") == -1 ? "?" : "&") + "enablejsapi=1";
+}
+
+/**
+ * Prepare the embeds in an HTML string for playback control: YouTube iframes
+ * get enablejsapi=1. This has to happen before the markup goes into the page,
+ * since changing the src of an iframe in the page reloads it.
+ * @param {string} html
+ * @returns {string}
+ */
+function enableEmbedAPIs(html) {
+    if (!html || !YOUTUBE_EMBED.test(html)) {
+        return html;
+    }
+    // template content is inert, nothing loads while we edit it
+    let template = document.createElement("template");
+    template.innerHTML = html;
+    let iframes = template.content.querySelectorAll("iframe");
+    for (let i = 0; i < iframes.length; i++) {
+        let src = iframes[i].getAttribute("src");
+        if (src && YOUTUBE_EMBED.test(src)) {
+            iframes[i].setAttribute("src", withYouTubeAPI(src));
+        }
+    }
+    return template.innerHTML;
+}
+
+/**
+ * Base class for a playable embed. Subclasses implement play() and pause()
+ * and call _onPlay() / _onPause() when the embed reports a change.
+ * unique_id is the id of the slide the embed belongs to; it is filled in
+ * by the Slide which adds the player.
+ */
+class Player {
+    constructor(element, media_type) {
+        this.element = element;
+        this.media_type = media_type;
+        this.unique_id = null;
+        this.playing = false;
+    }
+
+    play() {}
+
+    pause() {}
+
+    destroy() {}
+
+    _onPlay() {
+        if (!this.playing) {
+            this.playing = true;
+            this.fire("play", { player: this });
+        }
+    }
+
+    _onPause() {
+        if (this.playing) {
+            this.playing = false;
+            this.fire("pause", { player: this });
+        }
+    }
+}
+
+classMixin(Player, Events)
+
+// <audio> and <video>
+class HTMLMediaPlayer extends Player {
+    constructor(element) {
+        super(element, element.tagName.toLowerCase());
+        this._listeners = {
+            play: () => this._onPlay(),
+            pause: () => this._onPause(),
+            ended: () => this._onPause()
+        };
+        for (let type in this._listeners) {
+            element.addEventListener(type, this._listeners[type]);
+        }
+    }
+
+    play() {
+        let promise = this.element.play();
+        if (promise && promise.catch) {
+            // autoplay policies may refuse to start playback
+            promise.catch(e => trace(`play() refused: ${e}`));
+        }
+    }
+
+    pause() {
+        this.element.pause();
+    }
+
+    destroy() {
+        for (let type in this._listeners) {
+            this.element.removeEventListener(type, this._listeners[type]);
+        }
+    }
+}
+
+// SoundCloud player iframe, controlled through the Widget API
+class SoundCloudPlayer extends Player {
+    constructor(iframe) {
+        super(iframe, "soundcloud");
+        this.widget = null;
+        if (typeof SC != "undefined" && SC.Widget) {
+            this._createWidget();
+        } else {
+            loadJS(SOUNDCLOUD_API, () => this._createWidget());
+        }
+    }
+
+    _createWidget() {
+        if (typeof SC == "undefined" || !SC.Widget) {
+            trace("SoundCloud Widget API not available");
+            return;
+        }
+        this.widget = SC.Widget(this.element);
+        this.widget.bind(SC.Widget.Events.PLAY, () => this._onPlay());
+        this.widget.bind(SC.Widget.Events.PAUSE, () => this._onPause());
+        this.widget.bind(SC.Widget.Events.FINISH, () => this._onPause());
+    }
+
+    play() {
+        if (this.widget) {
+            this.widget.play();
+        }
+    }
+
+    pause() {
+        if (this.widget) {
+            this.widget.pause();
+        }
+    }
+}
+
+/**
+ * YouTube, either a YT.Player created elsewhere (which must pass its
+ * onStateChange events to _onStateChange) or a YouTube embed iframe,
+ * for which a YT.Player is created here once the API has loaded.
+ */
+class YouTubePlayer extends Player {
+    constructor(player_or_iframe) {
+        if (player_or_iframe.tagName) {
+            super(player_or_iframe, "youtube");
+            this.player = null;
+            this._connectIframe();
+        } else {
+            super(null, "youtube");
+            this.player = player_or_iframe;
+        }
+    }
+
+    _connectIframe() {
+        // see enableEmbedAPIs; the src is left alone here, changing it would reload the video
+        let src = this.element.getAttribute("src") || "";
+        if (withYouTubeAPI(src) != src) {
+            trace(`YouTube embed without enablejsapi=1 can't be paused: ${src}`);
+        }
+        if (typeof YT != "undefined" && typeof YT.Player != "undefined") {
+            this._createPlayer();
+        } else {
+            loadJS(YOUTUBE_API, () => this._createPlayer());
+        }
+    }
+
+    _createPlayer() {
+        // the API script loads the rest of the API asynchronously
+        if (typeof YT == "undefined" || typeof YT.Player == "undefined") {
+            this.timer = setTimeout(() => this._createPlayer(), 1000);
+            return;
+        }
+        this.player = new YT.Player(this.element, {
+            events: {
+                onStateChange: e => this._onStateChange(e)
+            }
+        });
+    }
+
+    _onStateChange(e) {
+        if (e.data == YT.PlayerState.PLAYING) {
+            this._onPlay();
+        } else if (e.data == YT.PlayerState.PAUSED || e.data == YT.PlayerState.ENDED) {
+            this._onPause();
+        }
+    }
+
+    play() {
+        if (this.player && this.player.playVideo) {
+            this.player.playVideo();
+        }
+    }
+
+    pause() {
+        if (this.player && this.player.pauseVideo) {
+            this.player.pauseVideo();
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+    }
+}
+
+// Vimeo player iframe, controlled with the player's postMessage API
+class VimeoPlayer extends Player {
+    constructor(iframe) {
+        super(iframe, "vimeo");
+        this._onMessage = this._onMessage.bind(this);
+        window.addEventListener("message", this._onMessage);
+        // in case the player was ready before we started listening
+        this._subscribe();
+    }
+
+    _post(method, value) {
+        if (this.element.contentWindow) {
+            this.element.contentWindow.postMessage(JSON.stringify({ method: method, value: value }), VIMEO_ORIGIN);
+        }
+    }
+
+    _subscribe() {
+        this._post("addEventListener", "play");
+        this._post("addEventListener", "pause");
+        this._post("addEventListener", "finish");
+    }
+
+    _onMessage(e) {
+        if (e.origin != VIMEO_ORIGIN || e.source !== this.element.contentWindow) {
+            return;
+        }
+        let data = e.data;
+        if (typeof data == "string") {
+            try {
+                data = JSON.parse(data);
+            } catch (err) {
+                return;
+            }
+        }
+        switch (data && data.event) {
+            case "ready":
+                this._subscribe();
+                break;
+            case "play":
+                this._onPlay();
+                break;
+            case "pause":
+            case "finish":
+                this._onPause();
+                break;
+        }
+    }
+
+    play() {
+        this._post("play");
+    }
+
+    pause() {
+        this._post("pause");
+    }
+
+    destroy() {
+        window.removeEventListener("message", this._onMessage);
+    }
+}
+
+/**
+ * Wrap an element in the matching Player, or return null for elements
+ * which can't be played or controlled.
+ * @param {HTMLElement} element
+ * @returns {Player|null}
+ */
+function createPlayer(element) {
+    let tag = element.tagName.toLowerCase();
+    if (tag == "audio" || tag == "video") {
+        return new HTMLMediaPlayer(element);
+    }
+    if (tag == "iframe") {
+        let src = element.getAttribute("src") || "";
+        if (src.match(/w\.soundcloud\.com\/player/)) {
+            return new SoundCloudPlayer(element);
+        }
+        if (src.match(YOUTUBE_EMBED)) {
+            return new YouTubePlayer(element);
+        }
+        if (src.match(/player\.vimeo\.com\/video\//)) {
+            return new VimeoPlayer(element);
+        }
+    }
+    return null;
+}
+
+/**
+ * Players for every playable element inside container, e.g. iframes
+ * embedded in slide text.
+ * @param {HTMLElement} container
+ * @returns {Player[]}
+ */
+function findPlayers(container) {
+    let players = [];
+    let elements = container.querySelectorAll("audio, video, iframe");
+    for (let i = 0; i < elements.length; i++) {
+        let player = createPlayer(elements[i]);
+        if (player) {
+            players.push(player);
+        }
+    }
+    return players;
+}
+
+/**
+ * Coordinates every Player added to it: when one starts playing, all the
+ * others are paused. Fires "play" and "pause" with the unique_id of the
+ * slide and the media_type of the player.
+ */
+class PlaybackManager {
+    constructor() {
+        this._players = [];
+        this.current = null;
+    }
+
+    add(player) {
+        if (this._players.indexOf(player) != -1) {
+            return;
+        }
+        this._players.push(player);
+        player.on("play", this._onPlayerPlay, this);
+        player.on("pause", this._onPlayerPause, this);
+        if (player.playing) {
+            this._onPlayerPlay({ player: player });
+        }
+    }
+
+    // Forget the players of the slide with the given id
+    removeSlide(unique_id) {
+        let players = this.getPlayers(unique_id);
+        for (let i = 0; i < players.length; i++) {
+            let player = players[i];
+            player.off("play", this._onPlayerPlay, this);
+            player.off("pause", this._onPlayerPause, this);
+            player.destroy();
+            this._players.splice(this._players.indexOf(player), 1);
+            if (this.current === player) {
+                this.current = null;
+            }
+        }
+    }
+
+    getPlayers(unique_id) {
+        if (unique_id === undefined) {
+            return this._players.slice();
+        }
+        return this._players.filter(player => player.unique_id == unique_id);
+    }
+
+    // Start the first player of the given slide; returns false if it has none
+    play(unique_id) {
+        let player = this.getPlayers(unique_id)[0];
+        if (!player) {
+            return false;
+        }
+        player.play();
+        return true;
+    }
+
+    // Pauses every player, not only those known to be playing: an embed may
+    // have started before its API was ready to report it
+    pause() {
+        for (let i = 0; i < this._players.length; i++) {
+            this._players[i].pause();
+        }
+    }
+
+    isPlaying() {
+        return this.current !== null;
+    }
+
+    _onPlayerPlay(e) {
+        let player = e.player;
+        for (let i = 0; i < this._players.length; i++) {
+            if (this._players[i] !== player) {
+                this._players[i].pause();
+            }
+        }
+        this.current = player;
+        this.fire("play", { unique_id: player.unique_id, media_type: player.media_type });
+    }
+
+    _onPlayerPause(e) {
+        let player = e.player;
+        if (this.current === player) {
+            this.current = null;
+        }
+        this.fire("pause", { unique_id: player.unique_id, media_type: player.media_type });
+    }
+}
+
+classMixin(PlaybackManager, Events)
+
+export {
+    Player,
+    HTMLMediaPlayer,
+    SoundCloudPlayer,
+    YouTubePlayer,
+    VimeoPlayer,
+    createPlayer,
+    findPlayers,
+    enableEmbedAPIs,
+    PlaybackManager
+}
@@ -0,0 +1,183 @@
+import { Player, HTMLMediaPlayer, YouTubePlayer, VimeoPlayer, SoundCloudPlayer, createPlayer, findPlayers, enableEmbedAPIs, PlaybackManager } from "../Playback"
+
+// A player which plays and pauses right away, like a well-behaved embed
+class FakePlayer extends Player {
+    constructor(unique_id, media_type = "audio") {
+        super(null, media_type)
+        this.unique_id = unique_id
+    }
+
+    play() {
+        this._onPlay()
+    }
+
+    pause() {
+        this._onPause()
+    }
+}
+
+function makeManager(...players) {
+    let manager = new PlaybackManager()
+    let events = []
+    manager.on("play", e => events.push(["play", e.unique_id, e.media_type]))
+    manager.on("pause", e => events.push(["pause", e.unique_id, e.media_type]))
+    players.forEach(player => manager.add(player))
+    return { manager, events }
+}
+
+test("only one player plays at a time", () => {
+    let a = new FakePlayer("a")
+    let b = new FakePlayer("b", "youtube")
+    let { manager, events } = makeManager(a, b)
+
+    a.play()
+    expect(manager.isPlaying()).toBe(true)
+    expect(manager.current).toBe(a)
+
+    // started from its own controls, not through the manager
+    b._onPlay()
+    expect(a.playing).toBe(false)
+    expect(manager.current).toBe(b)
+    expect(events).toEqual([
+        ["play", "a", "audio"],
+        ["pause", "a", "audio"],
+        ["play", "b", "youtube"]
+    ])
+
+    manager.pause()
+    expect(b.playing).toBe(false)
+    expect(manager.isPlaying()).toBe(false)
+})
+
+test("play starts the first player of a slide", () => {
+    let a = new FakePlayer("a")
+    let { manager } = makeManager(a)
+
+    expect(manager.play("a")).toBe(true)
+    expect(a.playing).toBe(true)
+    expect(manager.play("nope")).toBe(false)
+})
+
+test("players are added once and forgotten with their slide", () => {
+    let a = new FakePlayer("a")
+    let b = new FakePlayer("b")
+    let { manager, events } = makeManager(a, a, b)
+    expect(manager.getPlayers()).toEqual([a, b])
+
+    a.play()
+    manager.removeSlide("a")
+    expect(manager.getPlayers()).toEqual([b])
+    expect(manager.isPlaying()).toBe(false)
+
+    // a removed player no longer reaches the manager
+    a.pause()
+    expect(events).toEqual([["play", "a", "audio"]])
+})
+
+test("a player which is already playing when added becomes current", () => {
+    let a = new FakePlayer("a")
+    a.play()
+    let { manager, events } = makeManager(a)
+    expect(manager.current).toBe(a)
+    expect(events).toEqual([["play", "a", "audio"]])
+})
+
+test("pause reaches players which never reported playing", () => {
+    let a = new FakePlayer("a")
+    let b = new FakePlayer("b")
+    // e.g. an embed which started before its API was bound
+    b.pause = jest.fn()
+    let { manager } = makeManager(a, b)
+
+    manager.pause()
+    expect(b.pause).toHaveBeenCalledTimes(1)
+
+    a.play()
+    expect(b.pause).toHaveBeenCalledTimes(2)
+})
+
+test("HTMLMediaPlayer follows the element's events", () => {
+    document.body.innerHTML = '<audio></audio>'
+    let audio = document.querySelector("audio")
+    audio.pause = jest.fn()
+    let player = new HTMLMediaPlayer(audio)
+    let { manager } = makeManager(player)
+    expect(player.media_type).toBe("audio")
+
+    audio.dispatchEvent(new Event("play"))
+    expect(manager.current).toBe(player)
+
+    manager.pause()
+    expect(audio.pause).toHaveBeenCalled()
+    audio.dispatchEvent(new Event("pause"))
+    expect(manager.isPlaying()).toBe(false)
+
+    audio.dispatchEvent(new Event("play"))
+    audio.dispatchEvent(new Event("ended"))
+    expect(player.playing).toBe(false)
+
+    player.destroy()
+    audio.dispatchEvent(new Event("play"))
+    expect(player.playing).toBe(false)
+})
+
+describe("createPlayer", () => {
+    beforeEach(() => {
+        // the API scripts are already there, so nothing is loaded
+        global.YT = { Player: jest.fn(), PlayerState: { PLAYING: 1, PAUSED: 2, ENDED: 0 } }
+        let widget = { bind: jest.fn(), play: jest.fn(), pause: jest.fn() }
+        global.SC = { Widget: jest.fn(() => widget) }
+        global.SC.Widget.Events = { PLAY: "play", PAUSE: "pause", FINISH: "finish" }
+    })
+
+    afterEach(() => {
+        delete global.YT
+        delete global.SC
+    })
+
+    test("picks the player by element and embed url", () => {
+        document.body.innerHTML = `
+            <p>text</p>
+            <video></video>
+            <iframe src="https://w.soundcloud.com/player/?url=https%3A//api.soundcloud.com/tracks/1"></iframe>
+            <iframe src="https://www.youtube.com/embed/abc?start=5"></iframe>
+            <iframe src="https://player.vimeo.com/video/123"></iframe>
+            <iframe src="https://www.google.com/maps/embed"></iframe>`
+        let players = findPlayers(document.body)
+        expect(players.map(player => player.constructor)).toEqual([HTMLMediaPlayer, SoundCloudPlayer, YouTubePlayer, VimeoPlayer])
+        expect(players.map(player => player.media_type)).toEqual(["video", "soundcloud", "youtube", "vimeo"])
+        expect(createPlayer(document.querySelector("p"))).toBe(null)
+
+        // changing the src would reload the video, see enableEmbedAPIs
+        expect(players[2].element.getAttribute("src")).toBe("https://www.youtube.com/embed/abc?start=5")
+        expect(global.YT.Player).toHaveBeenCalledWith(players[2].element, expect.anything())
+        expect(players[1].widget).not.toBe(null)
+
+        players.forEach(player => player.destroy())
+    })
+
+    test("YouTubePlayer maps state changes", () => {
+        let yt = { playVideo: jest.fn(), pauseVideo: jest.fn() }
+        let player = new YouTubePlayer(yt)
+        player._onStateChange({ data: YT.PlayerState.PLAYING })
+        expect(player.playing).toBe(true)
+        player._onStateChange({ data: YT.PlayerState.ENDED })
+        expect(player.playing).toBe(false)
+        player.play()
+        expect(yt.playVideo).toHaveBeenCalled()
+    })
+})
+
+test("enableEmbedAPIs asks YouTube embeds for the API", () => {
+    let html = '<p>a</p><iframe src="https://www.youtube.com/embed/abc"></iframe>' +
+        '<iframe src="https://www.youtube-nocookie.com/embed/def?start=5&amp;enablejsapi=1"></iframe>' +
+        '<iframe src="https://player.vimeo.com/video/123"></iframe>'
+    document.body.innerHTML = enableEmbedAPIs(html)
+    let srcs = Array.from(document.querySelectorAll("iframe")).map(iframe => iframe.getAttribute("src"))
+    expect(srcs).toEqual([
+        "https://www.youtube.com/embed/abc?enablejsapi=1",
+        "https://www.youtube-nocookie.com/embed/def?start=5&enablejsapi=1",
+        "https://player.vimeo.com/video/123"
+    ])
+    expect(enableEmbedAPIs("<p>no embeds</p>")).toBe("<p>no embeds</p>")
+})
@@ -2,6 +2,7 @@ import { Media } from "../Media";
 import { transformMediaURL } from "../../core/Util";
 import * as Browser from "../../core/Browser"
 import { trace } from "../../core/Util";
+import { HTMLMediaPlayer } from "../Playback";
 
 export default class Audio extends Media {
     _loadMedia() {
@@ -39,6 +40,7 @@ export default class Audio extends Media {
         this._el.source_item.type = this._getType(this.data.url, this.data.mediatype.match_str);
         this._el.content_item.innerHTML += "Your browser doesn't support HTML5 audio with " + this._el.source_item.type;
         this.player_element = this._el.content_item
+        this._addPlayer(new HTMLMediaPlayer(this.player_element));
     }
 
     _updateMediaDisplay(layout) {
@@ -1,13 +1,14 @@
 import { Media } from "../Media";
 import DOMPurify from 'dompurify';
+import { findPlayers, enableEmbedAPIs } from "../Playback";
 
 export default class IFrame extends Media {
     constructor(data, options, language) { //add_to_container) {
         super(data, options, language);
-        this.iframe = DOMPurify.sanitize(this.data.url, {
+        this.iframe = enableEmbedAPIs(DOMPurify.sanitize(this.data.url, {
             ADD_TAGS: ['iframe'],
             ADD_ATTR: ['frameborder'],
-        })
+        }))
     }
 
     _loadMedia() {
@@ -17,6 +18,9 @@ export default class IFrame extends Media {
         // API Call
         this._el.content_item.innerHTML = this.iframe;
 
+        // Embedded players (SoundCloud, YouTube, Vimeo) can be coordinated too
+        findPlayers(this._el.content_item).forEach(player => this._addPlayer(player));
+
         // After Loaded
         this.onLoaded();
     }
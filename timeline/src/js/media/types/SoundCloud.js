@@ -1,6 +1,6 @@
 import { Media } from "../Media";
 import { getJSON } from "../../net/Net";
-import { loadJS } from "../../core/Load";
+import { SoundCloudPlayer } from "../Playback";
 
 export default class SoundCloud extends Media {
 	_loadMedia() {
@@ -18,9 +18,7 @@ export default class SoundCloud extends Media {
 
 		// API Call
 		getJSON(api_url, function(d) {
-			loadJS("https://w.soundcloud.com/player/api.js", function() {//load soundcloud api for pausing.
-				self.createMedia(d);
-			});
+			self.createMedia(d);
 		});
 
 	}
@@ -28,18 +26,16 @@ export default class SoundCloud extends Media {
 	createMedia(d) {
 		this._el.content_item.innerHTML = d.html;
 
-		self.widget = SC.Widget(this._el.content_item.querySelector("iframe"));//create widget for api use
-		this.soundCloudCreated = true;
-
+		this.soundcloud_player = new SoundCloudPlayer(this._el.content_item.querySelector("iframe"));
+		this._addPlayer(this.soundcloud_player);
 
 		// After Loaded
 		this.onLoaded();
 	}
 
 	_stopMedia() {
-		if (this.soundCloudCreated)
-		{
-			self.widget.pause();
+		if (this.soundcloud_player) {
+			this.soundcloud_player.pause();
 		}
 	}
 
@@ -1,6 +1,7 @@
 import { classMixin, setData, mergeData, htmlify, linkify, trace } from "../../core/Util"
 import Events from "../../core/Events"
 import * as DOM from "../../dom/DOM"
+import { enableEmbedAPIs } from "../Playback"
 
 export class Text {
 	constructor(data, options, add_to_container) {
@@ -107,7 +108,8 @@ export class Text {
 			var text_content = "";
 			text_content += htmlify(this.options.autolink == true ? linkify(this.data.text) : this.data.text);
 			this._el.content				= DOM.create("div", "tl-text-content", this._el.content_container);
-			this._el.content.innerHTML		= text_content;
+			// embeds are set up for playback control before they load (see Playback.js)
+			this._el.content.innerHTML		= enableEmbedAPIs(text_content);
 
 			// Make images with class `tl-expandable-img` expandable on click
 			var expandableLinks = this._el.content.querySelectorAll('.tl-expandable-img-link');
@@ -1,6 +1,7 @@
 import { Media } from "../Media";
 import * as Browser from "../../core/Browser"
 import { transformMediaURL } from "../../core/Util";
+import { HTMLMediaPlayer } from "../Playback";
 
 export default class Video extends Media {
     _loadMedia() {
@@ -39,7 +40,7 @@ export default class Video extends Media {
         this._el.source_item.type = this._getType(this.data.url, this.data.mediatype.match_str);
         this._el.content_item.innerHTML += "Your browser doesn't support HTML5 video with " + this._el.source_item.type;
         this.player_element = this._el.content_item
-
+        this._addPlayer(new HTMLMediaPlayer(this.player_element));
     }
 
     _updateMediaDisplay(layout) {
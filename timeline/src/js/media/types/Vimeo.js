@@ -1,5 +1,6 @@
 import { trace, ratio } from "../../core/Util"
 import { Media } from "../Media";
+import { VimeoPlayer } from "../Playback";
 
 export default class Vimeo extends Media {
 
@@ -40,6 +41,7 @@ export default class Vimeo extends Media {
         this.player.setAttribute('allowfullscreen', '');
         this.player.setAttribute('webkitallowfullscreen', '');
         this.player.setAttribute('mozallowfullscreen', '');
+        this._addPlayer(new VimeoPlayer(this.player));
 
         // After Loaded
         this.onLoaded();
@@ -1,6 +1,7 @@
 import { trace, unique_ID, getUrlVars, ratio, parseYouTubeTime } from "../../core/Util"
 import { loadJS } from "../../core/Load"
 import { Media } from "../Media";
+import { YouTubePlayer } from "../Playback";
 
 export default class YouTube extends Media {
     _loadMedia() {
@@ -94,9 +95,13 @@ export default class YouTube extends Media {
                         // After Loaded
                         self.onLoaded();
                     },
-                    'onStateChange': self.onStateChange
+                    'onStateChange': function(e) {
+                        self.onStateChange(e);
+                    }
                 }
             });
+            this.playback_player = new YouTubePlayer(this.player);
+            this._addPlayer(this.playback_player);
         } else {
             this.timer = setTimeout(function() {
                 self.createMedia();
@@ -118,6 +123,7 @@ export default class YouTube extends Media {
             e.target.seekTo(0);
             e.target.pauseVideo();
         }
+        this.playback_player._onStateChange(e);
     }
 
 
@@ -9,6 +9,7 @@ import { Animate } from "../animation/Animate"
 import { easeInSpline } from "../animation/Ease"
 import { lookupMediaType } from "../media/MediaType";
 import { Text } from "../media/Media"
+import { findPlayers } from "../media/Playback"
 
 export class Slide {
 
@@ -34,7 +35,8 @@ export class Slide {
 
         // State
         this._state = {
-            loaded: false
+            loaded: false,
+            players_found: false
         };
 
         this.has = {
@@ -188,6 +190,12 @@ export class Slide {
             this._state.loaded = true;
         }
 
+        // Players embedded in the text (e.g. a SoundCloud iframe)
+        if (!this._state.players_found && this._text._el) {
+            this._state.players_found = true;
+            findPlayers(this._text._el.container).forEach(player => this._addPlayer(player));
+        }
+
         if (this._background_media && !this._background_media._state.loaded) {
             this._background_media.on("loaded", function() {
                 self._updateBackgroundDisplay();
@@ -230,7 +238,9 @@ export class Slide {
 
     /*	Events
     ================================================== */
-
+    _onPlayerAdded(e) {
+        this._addPlayer(e.player);
+    }
 
     /*	Private Methods
     ================================================== */
@@ -337,7 +347,14 @@ export class Slide {
     }
 
     _initEvents() {
+        if (this._media) {
+            this._media.on("player_added", this._onPlayerAdded, this);
+        }
+    }
 
+    _addPlayer(player) {
+        player.unique_id = this.data.unique_id;
+        this.fire("player_added", { player: player });
     }
 
     _updateBackgroundDisplay() {
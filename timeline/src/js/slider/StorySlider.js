@@ -100,6 +100,7 @@ export class StorySlider {
         slide.addTo(this._el.slider_item_container);
         slide.on('added', this._onSlideAdded, this);
         slide.on('background_change', this._onBackgroundChange, this);
+        slide.on('player_added', this._onPlayerAdded, this);
     }
 
     _createSlide(d, title_slide, n) {
@@ -424,6 +425,10 @@ export class StorySlider {
 
     /*	Events
     ================================================== */
+    _onPlayerAdded(e) {
+        this.fire("player_added", { player: e.player });
+    }
+
     _onBackgroundChange(e) {
         var n = this._findSlideIndex(this.current_id);
         var slide_background = this._slides[n].getBackground();
@@ -11,6 +11,7 @@ import { TimeNav } from "../timenav/TimeNav"
 import { Animate } from "../animation/Animate"
 import { StorySlider } from "../slider/StorySlider"
 import { MenuBar } from "../ui/MenuBar"
+import { PlaybackManager } from "../media/Playback"
 import { loadCSS, loadJS } from "../core/Load";
 
 let script_src_url = null;
@@ -90,6 +91,14 @@ class Timeline {
         // Loaded State
         this._loaded = { storyslider: false, timenav: false };
 
+        // Collapsed State (see timenav_collapsible option)
+        this.timenav_collapsed = false;
+
+        // Playback of every audio and video embed, so that only one plays at a time
+        this._playback = new PlaybackManager();
+        this._playback.on('play', this._onPlaybackPlay, this);
+        this._playback.on('pause', this._onPlaybackPause, this);
+
         /** @type {TimelineConfig} */
         this.config = null;
 
@@ -111,9 +120,15 @@ class Timeline {
             timenav_height: null,
             timenav_height_percentage: 25, // Overrides timenav height as a percentage of the screen
             timenav_height_min: 150, // Minimum timenav height
+            slide_layouts: null, // Per-slide layout hints keyed by unique_id, e.g. { "my-slide": { timenav_height_percentage: 50, zoom: 3 } }
+            timenav_collapsible: false, // Show a MenuBar button which collapses and expands the timenav
+            timenav_collapsed: false, // Start with the timenav collapsed (a remembered state takes precedence)
+            timenav_collapsed_height_percentage: 20, // Timenav height as a percentage of the screen while collapsed
+            timenav_collapse_storage_key: "tl-timenav-collapsed", // localStorage key which remembers the state; null to not remember it
             marker_height_min: 30, // Minimum Marker Height
             marker_width_min: 100, // Minimum Marker Width
             marker_padding: 5, // Top Bottom Marker Padding
+            marker_anchor: 0.5, // Where the active marker sits in the timenav: a fraction of its width, or "smart" to keep upcoming markers in view
             start_at_slide: 0,
             start_at_end: false,
             menubar_height: 0,
@@ -404,6 +419,9 @@ class Timeline {
         this.options.height = this._el.container.offsetHeight;
         // this._el.storyslider.style.top  = "1px";
 
+        // Collapsed state has to be known before the first height calculation
+        this.timenav_collapsed = this._loadTimeNavCollapsed();
+
         // Set TimeNav Height
         this.options.timenav_height = this._calculateTimeNavHeight();
 
@@ -424,10 +442,13 @@ class Timeline {
         this._el.storyslider.setAttribute('role', 'group');
         this._el.storyslider.setAttribute('aria-label', this._('aria_label_timeline_content'));
         this._storyslider.on('loaded', this._onStorySliderLoaded, this);
+        // Slides may load their media during init
+        this._storyslider.on('player_added', this._onPlayerAdded, this);
         this._storyslider.init();
 
         // Create Menu Bar
         this._menubar = new MenuBar(this._el.menubar, this._el.container, this.options, this.getLanguage());
+        this._menubar.setCollapsed(this.timenav_collapsed);
 
         // LAYOUT
         if (this.options.layout == "portrait") {
@@ -461,6 +482,8 @@ class Timeline {
         this._menubar.on('zoom_out', this._onZoomOut, this);
         this._menubar.on('forward_to_end', this._onForwardToEnd, this);
         this._menubar.on('back_to_start', this._onBackToStart, this);
+        this._menubar.on('collapse', this._onCollapse, this);
+        this._menubar.on('expand', this._onExpand, this);
 
     }
 
@@ -496,6 +519,8 @@ class Timeline {
 
 
     _onChange(e) {
+        this._playback.pause();
+        this._applySlideLayout();
         this.fire("change", { unique_id: this.current_id }, this);
         if (this.options.hash_bookmark && this.current_id) {
             this._updateHashBookmark(this.current_id);
@@ -526,6 +551,26 @@ class Timeline {
         this.fire("zoom_out", { zoom_level: this._timenav.options.scale_factor }, this);
     }
 
+    _onCollapse(e) {
+        this.collapseTimeNav();
+    }
+
+    _onExpand(e) {
+        this.expandTimeNav();
+    }
+
+    _onPlayerAdded(e) {
+        this._playback.add(e.player);
+    }
+
+    _onPlaybackPlay(e) {
+        this.fire("play", { unique_id: e.unique_id, media_type: e.media_type }, this);
+    }
+
+    _onPlaybackPause(e) {
+        this.fire("pause", { unique_id: e.unique_id, media_type: e.media_type }, this);
+    }
+
     _onTimeNavLoaded() {
         this._loaded.timenav = true;
         this._onLoaded();
@@ -657,14 +702,24 @@ class Timeline {
      *     pixel height is less than `options.timenav_height_min` then the 
      *     value of `options.timenav_height_min` will be returned. (A minor 
      *     adjustment is made to the returned value to account for marker 
-     *     padding.)
+     *     padding.) A `timenav_height_percentage` hint on the current slide 
+     *     (see `_getSlideLayout`) is used instead of the option when present, 
+     *     and `timenav_collapsed_height_percentage` overrides both while the 
+     *     timenav is collapsed.
      */
     _calculateTimeNavHeight() {
 
         var height = 0;
+        var percentage = this._getSlideLayout(this.current_id).timenav_height_percentage;
 
-        if (this.options.timenav_height_percentage) {
-            height = Math.round((this.options.height / 100) * this.options.timenav_height_percentage);
+        if (this.timenav_collapsed) {
+            percentage = this.options.timenav_collapsed_height_percentage;
+        } else if (percentage === undefined) {
+            percentage = this.options.timenav_height_percentage;
+        }
+
+        if (percentage) {
+            height = Math.round((this.options.height / 100) * percentage);
         }
 
         // Set new minimum based on how many rows needed
@@ -684,6 +739,106 @@ class Timeline {
         return height;
     }
 
+    /**
+     * Return the layout hints for the slide with the given id: 
+     *     `timenav_height_percentage` and `zoom` (an index into 
+     *     `zoom_sequence`, as with `initial_zoom`). Hints can be set as 
+     *     fields of the slide data or in the `slide_layouts` option, keyed 
+     *     by `unique_id`; the option wins when both are set. Hints that are 
+     *     missing or not numbers are left out of the returned object.
+     * @param {String} id 
+     */
+    _getSlideLayout(id) {
+        var layout = {};
+        var sources = [
+            this.config && id ? this.config.event_dict[id] : null,
+            this.options.slide_layouts && id ? this.options.slide_layouts[id] : null
+        ];
+
+        for (var i = 0; i < sources.length; i++) {
+            var source = sources[i];
+            if (!source) {
+                continue;
+            }
+            var percentage = parseFloat(source.timenav_height_percentage);
+            if (isFinite(percentage)) {
+                layout.timenav_height_percentage = percentage;
+            }
+            var zoom = parseInt(source.zoom);
+            if (isFinite(zoom)) {
+                layout.zoom = zoom;
+            }
+        }
+        return layout;
+    }
+
+    /**
+     * Apply the layout hints of the current slide: animate the TimeNav 
+     *     to the slide's height and set its zoom level. Slides without a 
+     *     zoom hint keep the current zoom, so a reader's own zooming is not 
+     *     undone on every slide change.
+     */
+    _applySlideLayout() {
+        if (!this._timenav.options) {
+            return;
+        }
+        var layout = this._getSlideLayout(this.current_id);
+
+        if (this._calculateTimeNavHeight() != this.options.timenav_height) {
+            this._updateDisplay(null, true);
+        }
+
+        if (layout.zoom !== undefined && this._timenav.options.zoom_sequence[layout.zoom] != this._timenav.options.scale_factor) {
+            this.setZoom(layout.zoom);
+        }
+    }
+
+    /**
+     * Initial collapsed state of the timenav: the one remembered from an 
+     *     earlier visit if there is one, otherwise the `timenav_collapsed` 
+     *     option. Only collapsible timelines start collapsed.
+     */
+    _loadTimeNavCollapsed() {
+        if (!isTrue(this.options.timenav_collapsible)) {
+            return false;
+        }
+        var key = this.options.timenav_collapse_storage_key;
+        if (key) {
+            try {
+                var stored = window.localStorage.getItem(key);
+                if (stored !== null) {
+                    return stored == "true";
+                }
+            } catch (e) {
+                // storage can be disabled (private browsing, sandboxed iframes)
+                trace("Unable to read timenav state: " + e);
+            }
+        }
+        return isTrue(this.options.timenav_collapsed);
+    }
+
+    _saveTimeNavCollapsed(collapsed) {
+        var key = this.options.timenav_collapse_storage_key;
+        if (key && isTrue(this.options.timenav_collapsible)) {
+            try {
+                window.localStorage.setItem(key, String(collapsed));
+            } catch (e) {
+                trace("Unable to store timenav state: " + e);
+            }
+        }
+    }
+
+    _setTimeNavCollapsed(collapsed) {
+        if (!this._timenav.options || this.timenav_collapsed == collapsed) {
+            return;
+        }
+        this.timenav_collapsed = collapsed;
+        this._saveTimeNavCollapsed(collapsed);
+        this._menubar.setCollapsed(collapsed);
+        this._updateDisplay(null, true);
+        this.fire(collapsed ? "collapse" : "expand", { unique_id: this.current_id }, this);
+    }
+
     _validateOptions() {
         // assumes that this.options and this.config have been set.
         var INTEGER_PROPERTIES = ['timenav_height', 'timenav_height_min', 'marker_height_min', 'marker_width_min', 'marker_padding', 'start_at_slide', 'slide_padding_lr'];
@@ -875,6 +1030,35 @@ class Timeline {
         this._timenav.setZoom(level);
     }
 
+    collapseTimeNav() {
+        this._setTimeNavCollapsed(true);
+    }
+
+    expandTimeNav() {
+        this._setTimeNavCollapsed(false);
+    }
+
+    toggleTimeNav() {
+        this._setTimeNavCollapsed(!this.timenav_collapsed);
+    }
+
+    isTimeNavCollapsed() {
+        return !!this.timenav_collapsed;
+    }
+
+    // Play the media of slide with id (the current slide by default); returns false if it has none
+    playMedia(id) {
+        return this._playback.play(id === undefined ? this.current_id : id);
+    }
+
+    pauseMedia() {
+        this._playback.pause();
+    }
+
+    isMediaPlaying() {
+        return this._playback.isPlaying();
+    }
+
     // Goto slide with id
     goToId(id) {
         if (this.current_id != id) {
@@ -882,6 +1066,8 @@ class Timeline {
             this.current_id = id;
             this._timenav.goToId(this.current_id);
             this._storyslider.goToId(this.current_id, false, true);
+            this._playback.pause();
+            this._applySlideLayout();
             this.fire("change", { unique_id: this.current_id }, this);
 
             // Ensure hash bookmark is updated when navigation happens via goTo/goToStart/goToEnd
@@ -971,6 +1157,7 @@ class Timeline {
 
             var event = this.config.events.splice(n, 1);
             delete this.config.event_dict[event[0].unique_id];
+            this._playback.removeSlide(event[0].unique_id);
             this._storyslider.destroySlide(this.config.title ? n + 1 : n);
             this._storyslider._updateDrawSlides();
 
@@ -13,7 +13,10 @@ import Swipable from "../ui/Swipable"
 import { Animate } from "../animation/Animate"
 import { I18NMixins } from "../language/I18NMixins"
 
-
+// marker_anchor: "smart" keeps the active marker at least this share of the
+// width away from the left edge, and looks this many markers ahead
+const SMART_ANCHOR_MARGIN = 0.1;
+const SMART_ANCHOR_LOOKAHEAD = 3;
 
 export class TimeNav {
 
@@ -64,6 +67,7 @@ export class TimeNav {
             timenav_height_min: 150, // Minimum timenav height
             marker_height_min: 30, // Minimum Marker Height
             marker_width_min: 100, // Minimum Marker Width
+            marker_anchor: 0.5, // Where the active marker sits: a fraction of the width from the left, or "smart"
             zoom_sequence: [0.5, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89] // Array of Fibonacci numbers for TimeNav zoom levels http://www.maths.surrey.ac.uk/hosted-sites/R.Knott/Fibonacci/fibtable.html
         };
 
@@ -604,7 +608,7 @@ export class TimeNav {
         let markerId = null;
 
         if (marker) {
-            targetLeft = -marker.getLeft() + (this.options.width / 2);
+            targetLeft = this._getAnchoredLeft(n);
 
             // Пытаемся достать читаемое имя композитора
             if (marker._el && marker._el.headline && marker._el.headline.innerText) {
@@ -727,24 +731,6 @@ export class TimeNav {
             data_unique_id: e && e.data && e.data.unique_id,
             rawEvent: e
         });
-        // Pause SoundCloud widget (if present) when clicking on a timenav marker
-        try {
-            if (typeof window !== 'undefined' && window.SC && typeof window.SC.Widget === 'function') {
-                // Try to find a SoundCloud iframe inside the timeline embed first
-                var iframe = document.querySelector('#timeline-embed iframe[src*="w.soundcloud.com/player"]');
-                if (!iframe) {
-                    // Fallback: search any SoundCloud player iframe on the page
-                    iframe = document.querySelector('iframe[src*="w.soundcloud.com/player"]');
-                }
-                if (iframe) {
-                    var widget = window.SC.Widget(iframe);
-                    widget.pause();
-                }
-            }
-        } catch (err) {
-            // Fail silently if SoundCloud API is not available
-        }
-
         // Go to the clicked marker
         this.goToId(e.unique_id, false, false, 'markerClick');
         this.fire("change", { unique_id: e.unique_id });
@@ -766,6 +752,15 @@ export class TimeNav {
  * чтобы нельзя было уехать дальше в будущее, чем до LIMIT_RIGHT_YEAR.
  */
     _getRightConstraint() {
+        const constraint = this._getRightYearConstraint();
+        if (!this._markers.length) {
+            return constraint;
+        }
+        // The last marker must still be able to reach its anchor
+        return Math.min(constraint, this._getAnchoredLeft(this._markers.length - 1));
+    }
+
+    _getRightYearConstraint() {
         // Если захочешь другой лимит – поменяй этот год
         const LIMIT_RIGHT_YEAR = 1980;
 
@@ -796,6 +791,15 @@ export class TimeNav {
     }
 
     _getLeftConstraint() {
+        const constraint = this._getLeftYearConstraint();
+        if (!this._markers.length) {
+            return constraint;
+        }
+        // The first marker must still be able to reach its anchor
+        return Math.max(constraint, this._getAnchoredLeft(0));
+    }
+
+    _getLeftYearConstraint() {
         // Если захочешь другой лимит – поменяй этот год
         const LIMIT_LEFT_YEAR = 1650;
 
@@ -819,6 +823,54 @@ export class TimeNav {
         }
     }
 
+    /**
+     * Horizontal position, in pixels from the left edge of the TimeNav, 
+     * where marker n should sit when it is the active one (see the 
+     * `marker_anchor` option).
+     * @param {Number} n marker index
+     */
+    _getMarkerAnchor(n) {
+        const width = this.options.width;
+        if (this.options.marker_anchor == "smart") {
+            return this._getSmartMarkerAnchor(n);
+        }
+        let fraction = parseFloat(this.options.marker_anchor);
+        if (!(fraction >= 0 && fraction <= 1)) {
+            trace("marker_anchor must be a number between 0 and 1 or \"smart\". Using 0.5");
+            fraction = 0.5;
+        }
+        return width * fraction;
+    }
+
+    /**
+     * "smart" anchor: centered, unless moving the marker to the left 
+     * brings the next few markers into view. Never closer to the left 
+     * edge than SMART_ANCHOR_MARGIN of the width.
+     * @param {Number} n marker index
+     */
+    _getSmartMarkerAnchor(n) {
+        const width = this.options.width;
+        const margin = width * SMART_ANCHOR_MARGIN;
+        const left = Number(this._markers[n].getLeft());
+        let anchor = width / 2;
+
+        for (let i = n + 1; i < this._markers.length && i <= n + SMART_ANCHOR_LOOKAHEAD; i++) {
+            // distance from the active marker to the right edge of marker i's card
+            const reach = Number(this._markers[i].getLeft()) + this.options.marker_width_min - left;
+            const needed = width - margin - reach;
+            if (needed < margin) {
+                break;
+            }
+            anchor = Math.min(anchor, needed);
+        }
+        return anchor;
+    }
+
+    // Slider position (style.left) which puts marker n at its anchor
+    _getAnchoredLeft(n) {
+        return -Number(this._markers[n].getLeft()) + this._getMarkerAnchor(n);
+    }
+
     _onMouseScroll(e) {
 
         var delta = 0,
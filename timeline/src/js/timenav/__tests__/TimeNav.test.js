@@ -0,0 +1,67 @@
+import { TimeNav } from "../TimeNav"
+import { fallback } from "../../language/Language"
+
+// Markers only need a position for the anchor math
+function fakeMarker(left) {
+    return { getLeft: () => String(left) }
+}
+
+function makeTimeNav(options, marker_lefts) {
+    document.body.innerHTML = '<div id="timenav"></div>'
+    let timenav = new TimeNav('timenav', {}, Object.assign({ width: 1000, marker_width_min: 100 }, options), fallback)
+    timenav._markers = marker_lefts.map(fakeMarker)
+    // a timescale which puts every date at x=0, so the year limits never win
+    timenav.timescale = { getPosition: () => 0, getPixelWidth: () => 10000 }
+    return timenav
+}
+
+test("markers are centered by default", () => {
+    let timenav = makeTimeNav({}, [200, 800])
+    expect(timenav._getMarkerAnchor(0)).toBe(500)
+    expect(timenav._getAnchoredLeft(1)).toBe(-300)
+})
+
+test("a fractional marker_anchor moves the active marker", () => {
+    let timenav = makeTimeNav({ marker_anchor: 0.1 }, [200, 800])
+    expect(timenav._getAnchoredLeft(0)).toBe(-100)
+    expect(timenav._getAnchoredLeft(1)).toBe(-700)
+
+    timenav.options.marker_anchor = "0.25"
+    expect(timenav._getMarkerAnchor(1)).toBe(250)
+})
+
+test("an invalid marker_anchor falls back to the center", () => {
+    let timenav = makeTimeNav({ marker_anchor: 3 }, [200])
+    expect(timenav._getMarkerAnchor(0)).toBe(500)
+    timenav.options.marker_anchor = "left"
+    expect(timenav._getMarkerAnchor(0)).toBe(500)
+})
+
+test("smart anchor makes room for upcoming markers", () => {
+    // next markers 300 and 500px ahead: their cards end 400/600px after the active one
+    let timenav = makeTimeNav({ marker_anchor: "smart" }, [1000, 1300, 1500, 5000])
+    expect(timenav._getMarkerAnchor(0)).toBe(300)
+    // nothing close ahead: stay centered
+    expect(timenav._getMarkerAnchor(2)).toBe(500)
+    expect(timenav._getMarkerAnchor(3)).toBe(500)
+})
+
+test("smart anchor never goes past its margin", () => {
+    let timenav = makeTimeNav({ marker_anchor: "smart" }, [0, 700])
+    expect(timenav._getMarkerAnchor(0)).toBe(100)
+    // a marker which won't fit even then doesn't move the active one at all
+    timenav._markers = [fakeMarker(0), fakeMarker(750)]
+    expect(timenav._getMarkerAnchor(0)).toBe(500)
+})
+
+test("drag constraints let the first and last markers reach the anchor", () => {
+    let timenav = makeTimeNav({ marker_anchor: 0.1 }, [-500, 200, 12000])
+    // first marker at x=-500 needs slider.left = 600, beyond the year limit of 0
+    expect(timenav._getLeftConstraint()).toBe(600)
+    // last marker at x=12000 needs slider.left = -11900
+    expect(timenav._getRightConstraint()).toBe(-11900)
+
+    timenav._markers = []
+    expect(timenav._getLeftConstraint()).toBeCloseTo(0)
+    expect(timenav._getRightConstraint()).toBe(1000)
+})
@@ -2,7 +2,7 @@ import * as DOM from "../dom/DOM"
 import Events from "../core/Events";
 import { DOMMixins } from "../dom/DOMMixins"
 import { easeInOutQuint } from "../animation/Ease"
-import { classMixin, mergeData } from "../core/Util"
+import { classMixin, isTrue, mergeData } from "../core/Util"
 import { DOMEvent } from "../dom/DOMEvent"
 import { I18NMixins } from "../language/I18NMixins";
 
@@ -15,6 +15,7 @@ export class MenuBar {
             button_backtostart: {},
             button_zoomin: {},
             button_zoomout: {},
+            button_collapse: null,
             arrow: {},
             line: {},
             coverbar: {},
@@ -44,7 +45,9 @@ export class MenuBar {
             height: 600,
             duration: 1000,
             ease: easeInOutQuint,
-            menubar_default_y: 0
+            menubar_default_y: 0,
+            timenav_position: "bottom",
+            timenav_collapsible: false
         };
 
         // Animation
@@ -108,6 +111,21 @@ export class MenuBar {
         this._updateZoomAriaLabels()
     }
 
+    // Reflect the collapsed state of the timenav on the collapse button
+    setCollapsed(collapsed) {
+        this.collapsed = !!collapsed;
+        const button = this._el.button_collapse;
+        if (!button) {
+            return;
+        }
+        // The arrow points the way the timenav will move
+        const collapse_icon = this.options.timenav_position == "top" ? "tl-icon-arrow-up" : "tl-icon-arrow-down";
+        const expand_icon = this.options.timenav_position == "top" ? "tl-icon-arrow-down" : "tl-icon-arrow-up";
+        button.innerHTML = `<span class='${this.collapsed ? expand_icon : collapse_icon}'></span>`;
+        button.setAttribute('aria-label', this._(this.collapsed ? 'expand_timenav' : 'collapse_timenav'));
+        button.setAttribute('aria-expanded', String(!this.collapsed));
+    }
+
     setSticky(y) {
         this.options.menubar_default_y = y;
     }
@@ -138,8 +156,11 @@ export class MenuBar {
         this.fire("zoom_out", e);
     }
 
+    _onButtonCollapse(e) {
+        this.fire(this.collapsed ? "expand" : "collapse", e);
+    }
+
     _onButtonBackToStart(e) {
-        this._pauseSoundCloud();
         this.fire("back_to_start", e);
     }
 
@@ -161,12 +182,20 @@ export class MenuBar {
 
         this._el.button_zoomout.innerHTML = "<span class='tl-icon-zoom-out'></span>";
         this._el.button_zoomout.setAttribute('aria-label', this._('zoom_out'));
+
+        if (isTrue(this.options.timenav_collapsible)) {
+            this._el.button_collapse = DOM.createButton('tl-menubar-button tl-menubar-button-collapse', this._el.container);
+            this.setCollapsed(this.collapsed);
+        }
     }
 
     _initEvents() {
         DOMEvent.addListener(this._el.button_backtostart, 'click', this._onButtonBackToStart, this);
         DOMEvent.addListener(this._el.button_zoomin, 'click', this._onButtonZoomIn, this);
         DOMEvent.addListener(this._el.button_zoomout, 'click', this._onButtonZoomOut, this);
+        if (this._el.button_collapse) {
+            DOMEvent.addListener(this._el.button_collapse, 'click', this._onButtonCollapse, this);
+        }
 
         // Show the "home" button only when we are not on the title slide.
         if (typeof window !== 'undefined') {
@@ -254,25 +283,6 @@ export class MenuBar {
                     this.data.visible_ticks_dates));
         }
     }
-    _pauseSoundCloud() {
-        // Pause SoundCloud widget (if present) when interacting with menubar buttons
-        try {
-            if (typeof window !== 'undefined' && window.SC && typeof window.SC.Widget === 'function') {
-                // Try to find a SoundCloud iframe inside the timeline embed first
-                var iframe = document.querySelector('#timeline-embed iframe[src*="w.soundcloud.com/player"]');
-                if (!iframe) {
-                    // Fallback: search any SoundCloud player iframe on the page
-                    iframe = document.querySelector('iframe[src*="w.soundcloud.com/player"]');
-                }
-                if (iframe) {
-                    var widget = window.SC.Widget(iframe);
-                    widget.pause();
-                }
-            }
-        } catch (e) {
-            // Fail silently if SoundCloud API is not available
-        }
-    }
 }
 
 classMixin(MenuBar, DOMMixins, Events, I18NMixins)